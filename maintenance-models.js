@@ -0,0 +1,83 @@
+"use strict";
+
+/*
+ * Models that only the maintenance routes use. Registered once, however many
+ * times this module is loaded.
+ */
+
+const mongoose = require("mongoose");
+
+function registerModel(name, schema) {
+    return mongoose.models[name] || mongoose.model(name, schema);
+}
+
+const statisticsSnapshotSchema = new mongoose.Schema({
+    computedTime: { type: Date, index: true },
+    statistics: mongoose.Schema.Types.Mixed
+}, { minimize: false });
+
+const StatisticsSnapshot = registerModel("StatisticsSnapshot", statisticsSnapshotSchema);
+
+const maintenanceAuditSchema = new mongoose.Schema({
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    method: String,
+    route: String,
+    model: String,
+    // query, body and result are stored as JSON strings, since queries use $-prefixed keys
+    query: String,
+    body: String,
+    statusCode: Number,
+    result: String,
+    // Set once the change has been undone, to the audit entry of the undo
+    undo_id: mongoose.Schema.Types.ObjectId
+}, { timestamps: true, minimize: false });
+maintenanceAuditSchema.index({ createdAt: -1 });
+
+const MaintenanceAudit = registerModel("MaintenanceAudit", maintenanceAuditSchema);
+
+// One document saved by an audited request, as it was before and after
+const maintenanceAuditChangeSchema = new mongoose.Schema({
+    audit_id: mongoose.Schema.Types.ObjectId,
+    model: String,
+    document_id: mongoose.Schema.Types.ObjectId,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    removed: Boolean
+}, { timestamps: true, minimize: false });
+maintenanceAuditChangeSchema.index({ audit_id: 1, model: 1, document_id: 1 }, { unique: true });
+maintenanceAuditChangeSchema.index({ document_id: 1 });
+
+const MaintenanceAuditChange = registerModel("MaintenanceAuditChange", maintenanceAuditChangeSchema);
+
+const maintenanceJobSchema = new mongoose.Schema({
+    type: String,
+    status: { type: String, enum: ["running", "succeeded", "failed", "cancelled", "interrupted"], index: true },
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    route: String,
+    audit_id: mongoose.Schema.Types.ObjectId,
+    progress: {
+        done: Number,
+        total: Number
+    },
+    // The first items that failed, out of errorCount
+    itemErrors: [{
+        _id: false,
+        item: String,
+        message: String
+    }],
+    errorCount: Number,
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+    cancelRequested: Boolean,
+    heartbeatAt: Date,
+    finishedAt: Date
+}, { timestamps: true, minimize: false });
+
+const MaintenanceJob = registerModel("MaintenanceJob", maintenanceJobSchema);
+
+module.exports = {
+    MaintenanceAudit: MaintenanceAudit,
+    MaintenanceAuditChange: MaintenanceAuditChange,
+    MaintenanceJob: MaintenanceJob,
+    StatisticsSnapshot: StatisticsSnapshot
+};
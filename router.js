@@ -1,7 +1,7 @@
 "use strict";
 
-const path = require("path");
-const fs = require("fs");
+const perfHooks = require("perf_hooks");
+const stream = require("stream");
 
 const _ = require("lodash");
 const Promise = require("bluebird");
@@ -10,18 +10,27 @@ const jwt = require("jwt-simple");
 const csv = require("fast-csv");
 const createError = require("http-errors");
 const expressPromiseRouter = require("express-promise-router");
+const multer = require("multer");
 
-const ObjectId = require("mongoose").Types.ObjectId;
+const mongoose = require("mongoose");
+const ObjectId = mongoose.Types.ObjectId;
 
 const config = require("gigit-common/config");
 
-const { Auction, Notification, Order, Payment, RatingHistory, Request, Space, Store, StripeAccount, SystemEvent, User } = require("gigit-common/models");
-const { reqGigitAdmin, reqGenericModel, reqSaveToken, optSaveToken } = require("gigit-common/middleware");
+const models = require("gigit-common/models");
+const { Auction, Notification, Order, Payment, RatingHistory, Request, Space, Store, StripeAccount, SystemEvent, User } = models;
+const { MaintenanceAudit, MaintenanceAuditChange, MaintenanceJob, StatisticsSnapshot } = require("./maintenance-models");
+const { reqGigitAdmin, reqGenericModel, genericModelNames, reqSaveToken, optSaveToken } = require("gigit-common/middleware");
 const logger = require("gigit-common/loggers").logger;
 
 const router = expressPromiseRouter();
 
-var existingStatistics = null;
+// Computed statistics, keyed by the JSON of their scope
+var statisticsCache = {};
+
+const STATISTICS_CACHE_DURATION = moment.duration(10, "minutes");
+const STATISTICS_SNAPSHOT_INTERVAL = moment.duration(1, "hour");
+const STATISTICS_ROLLUPS = ["day", "week", "month"];
 
 // #region getStatistics
 /*
@@ -30,35 +39,15 @@ var existingStatistics = null;
  */
 function getStatistics(req, res) {
     return Promise.try(function() {
-        if (existingStatistics) {
-            var expiryTime = moment(existingStatistics.computedTime).add(10, "minutes");
-            var expired = moment().isAfter(expiryTime);
-            if (!expired) {
-                return res.status(200).send(existingStatistics);
-            }
-        }
-
-        // Join the above promises, when they are all complete
-        return Promise.join(countUsers(), countRequests(), countOrders(), countSpaces(),
-            function(userStats, requestStats, orderStats, spacesStats) {
-                // Fields that aren't being assigned a value
-                /*
-                    numberVolunteerPositions: 0,
-                    numberVolunteerHoursRequested: 0,
-                    numberRequestedAppointments: 0,
-                    numberAppointmentsBooked: 0,
-                    numberAppointmentsCompleted: 0,
-                    numberAppointmentsCancelled: 0,
-                    numberAppointmentsExpired: 0,
-                    totalDollarsEarned: 0,
-                    totalDollarThroughput: 0
-                */
-
-                var statisticsObject = {
-                    computedTime: moment().valueOf()
-                };
-                Object.assign(statisticsObject, userStats, requestStats, orderStats, spacesStats);
-                existingStatistics = statisticsObject;
+        var scope = parseStatisticsScope(req.query);
+        var cachedStatistics = getCachedStatistics(scope);
+        if (cachedStatistics) {
+            return res.status(200).send(cachedStatistics);
+        }
+
+        return computeStatistics(scope)
+            .then(function(statisticsObject) {
+                cacheStatistics(scope, statisticsObject);
                 res.status(200).send(statisticsObject);
             })
             .catch(function(err) {
@@ -68,28 +57,228 @@ function getStatistics(req, res) {
     });
 }
 
-function countUsers() {
-    return Promise.try(function() {
-        return User.find({})
-            .select("type")
-            .exec();
-    })
-        .then(function(users) {
-            var userStats = {
-                numberUsers: 0,
-                numberGroups: 0
+/*
+ * Statistics can be limited to documents created from `from` up to `to`
+ * (orders by the date they were done), and to the requests and orders owned by
+ * one group. Users and spaces aren't counted for a group.
+ */
+function parseStatisticsScope(query) {
+    var scope = {};
+    if (query.from) {
+        scope.from = parseQueryDate(query.from, "from").valueOf();
+    }
+    if (query.to) {
+        scope.to = parseQueryDate(query.to, "to").valueOf();
+    }
+    if (query.groupId) {
+        if (!ObjectId.isValid(query.groupId)) {
+            throw createError(422, "Invalid groupId");
+        }
+        scope.groupId = query.groupId;
+    }
+    return scope;
+}
+
+function getCachedStatistics(scope) {
+    var cachedStatistics = statisticsCache[JSON.stringify(scope)];
+    if (!cachedStatistics) {
+        return null;
+    }
+    var expiryTime = moment(cachedStatistics.computedTime).add(STATISTICS_CACHE_DURATION);
+    return moment().isAfter(expiryTime) ? null : cachedStatistics;
+}
+
+function cacheStatistics(scope, statisticsObject) {
+    statisticsCache = _.pickBy(statisticsCache, function(cachedStatistics) {
+        return moment().isBefore(moment(cachedStatistics.computedTime).add(STATISTICS_CACHE_DURATION));
+    });
+    statisticsCache[JSON.stringify(scope)] = statisticsObject;
+}
+
+// Documents created within the scope, using the creation time in their _id
+function createdMatch(scope) {
+    var match = {};
+    if (scope.from || scope.to) {
+        match._id = {};
+        if (scope.from) {
+            match._id.$gte = ObjectId.createFromTime(moment(scope.from).unix());
+        }
+        if (scope.to) {
+            match._id.$lt = ObjectId.createFromTime(moment(scope.to).unix());
+        }
+    }
+    if (scope.groupId) {
+        match.owner_id = ObjectId(scope.groupId);
+    }
+    return match;
+}
+
+// Orders done within the scope
+function completedMatch(scope) {
+    var match = { "status.code": "done" };
+    if (scope.from || scope.to) {
+        match["status.date"] = {};
+        if (scope.from) {
+            match["status.date"].$gte = new Date(scope.from);
+        }
+        if (scope.to) {
+            match["status.date"].$lt = new Date(scope.to);
+        }
+    }
+    if (scope.groupId) {
+        match.owner_id = ObjectId(scope.groupId);
+    }
+    return match;
+}
+
+function computeStatistics(scope) {
+    scope = scope || {};
+
+    var userStats = scope.groupId ? {} : countUsers(createdMatch(scope));
+    var spacesStats = scope.groupId ? {} : countSpaces(createdMatch(scope));
+
+    // Join the above promises, when they are all complete
+    return Promise.join(userStats, countRequests(createdMatch(scope)), countOrders(completedMatch(scope)), spacesStats,
+        function(userStats, requestStats, orderStats, spacesStats) {
+            // Fields that aren't being assigned a value
+            /*
+                numberVolunteerPositions: 0,
+                numberVolunteerHoursRequested: 0,
+                numberRequestedAppointments: 0,
+                numberAppointmentsBooked: 0,
+                numberAppointmentsCompleted: 0,
+                numberAppointmentsCancelled: 0,
+                numberAppointmentsExpired: 0,
+                totalDollarsEarned: 0,
+                totalDollarThroughput: 0
+            */
+
+            var statisticsObject = {
+                computedTime: moment().valueOf()
             };
+            Object.assign(statisticsObject, scope, userStats, requestStats, orderStats, spacesStats);
+            return statisticsObject;
+        });
+}
+
+/*
+ * Saves the platform statistics for the history route. Skipped when another
+ * process already saved a snapshot during this interval.
+ */
+function saveStatisticsSnapshot() {
+    var intervalStart = moment().subtract(STATISTICS_SNAPSHOT_INTERVAL).add(1, "minute");
+    return StatisticsSnapshot.findOne({ computedTime: { $gt: intervalStart.toDate() } }).select("_id").lean().exec()
+        .then(function(recentSnapshot) {
+            if (recentSnapshot) {
+                return;
+            }
+            return computeStatistics()
+                .then(function(statisticsObject) {
+                    cacheStatistics({}, statisticsObject);
+                    return StatisticsSnapshot.create({
+                        computedTime: new Date(statisticsObject.computedTime),
+                        statistics: _.omit(statisticsObject, "computedTime")
+                    });
+                });
+        })
+        .catch(function(err) {
+            logger.error("Error saving statistics snapshot: ", err);
+        });
+}
 
-            users.forEach(function(user) {
-                if (user.type === "company") {
-                    userStats.numberGroups++;
+setInterval(saveStatisticsSnapshot, STATISTICS_SNAPSHOT_INTERVAL.asMilliseconds()).unref();
+// Also at startup, once connected, so processes restarted more often than hourly still save some
+if (StatisticsSnapshot.db.readyState === 1) {
+    saveStatisticsSnapshot();
+}
+else {
+    StatisticsSnapshot.db.once("open", saveStatisticsSnapshot);
+}
+
+/*
+ * Statistics snapshots between from and to (default the last 30 days), limited
+ * to the comma separated metrics if given. With a rollup of day, week or month,
+ * only the last snapshot of each period is kept, since the statistics are
+ * running totals.
+ */
+function getStatisticsHistory(req, res) {
+    return Promise.try(function() {
+        var from = req.query.from ? parseQueryDate(req.query.from, "from") : moment().subtract(30, "days").toDate();
+        var to = req.query.to ? parseQueryDate(req.query.to, "to") : new Date();
+        var rollup = req.query.rollup;
+        var metrics = req.query.metrics ? req.query.metrics.split(",") : null;
+
+        if (rollup && STATISTICS_ROLLUPS.indexOf(rollup) === -1) {
+            throw createError(422, "rollup must be one of " + STATISTICS_ROLLUPS.join(", "));
+        }
+
+        var select = "computedTime";
+        if (metrics) {
+            metrics.forEach(function(metric) {
+                if (!/^\w+$/.test(metric)) {
+                    throw createError(422, "Invalid metric " + metric);
                 }
-                else {
-                    userStats.numberUsers++;
+                select += " statistics." + metric;
+            });
+        }
+        else {
+            select += " statistics";
+        }
+
+        return StatisticsSnapshot.find({ computedTime: { $gte: from, $lte: to } })
+            .select(select)
+            .sort({ computedTime: 1 })
+            .lean()
+            .exec()
+            .then(function(snapshots) {
+                if (rollup) {
+                    snapshots = _.values(_.groupBy(snapshots, function(snapshot) {
+                        return moment(snapshot.computedTime).startOf(rollup).valueOf();
+                    })).map(_.last);
                 }
+
+                res.status(200).send({
+                    from: from,
+                    to: to,
+                    rollup: rollup || null,
+                    series: snapshots.map(function(snapshot) {
+                        return Object.assign({ computedTime: snapshot.computedTime }, snapshot.statistics);
+                    })
+                });
             });
+    });
+}
 
-            return userStats;
+function sumIf(condition) {
+    return { $sum: { $cond: [condition, 1, 0] } };
+}
+
+/*
+ * The totals from a { _id: null } $group stage, or the defaults when nothing matched
+ */
+function aggregateTotals(results, defaults) {
+    return Object.assign(defaults, _.omit(results[0], "_id"));
+}
+
+function countUsers(match) {
+    return Promise.try(function() {
+        var isGroup = { $eq: ["$type", "company"] };
+        return User.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: null,
+                    numberUsers: { $sum: { $cond: [isGroup, 0, 1] } },
+                    numberGroups: sumIf(isGroup)
+                }
+            }
+        ]).exec();
+    })
+        .then(function(results) {
+            return aggregateTotals(results, {
+                numberUsers: 0,
+                numberGroups: 0
+            });
         })
         .catch(function(err) {
             logger.error("Error calculating user metrics: ", err);
@@ -97,14 +286,69 @@ function countUsers() {
         });
 }
 
-function countRequests() {
+function countRequests(match) {
     return Promise.try(function() {
-        return Request.find({})
-            .select("isOffer proposals offer isEvent request_date isTemplate type status")
-            .exec();
+        var now = new Date();
+        var isEvent = { $eq: ["$category", "event"] };
+        var isGig = { $eq: ["$category", "gig"] };
+        var isGigType = function(type) {
+            return { $and: [isGig, { $eq: ["$type", type] }] };
+        };
+
+        return Request.aggregate([
+            { $match: match },
+            {
+                $project: {
+                    type: 1,
+                    category: {
+                        $switch: {
+                            branches: [
+                                { case: { $eq: ["$isEvent", true] }, then: "event" },
+                                { case: { $eq: ["$isTemplate", true] }, then: "template" },
+                                { case: { $eq: ["$isOffer", true] }, then: "offer" }
+                            ],
+                            default: "gig"
+                        }
+                    },
+                    upcoming: { $gt: ["$request_date", now] },
+                    volunteerHours: {
+                        $cond: [
+                            { $and: [{ $eq: ["$type", "volunteer"] }, { $eq: ["$offer.time.units", "hours"] }, { $gt: ["$offer.time.value", 0] }] },
+                            "$offer.time.value",
+                            0
+                        ]
+                    },
+                    future: { $and: [{ $ne: ["$status.code", "cancelled"] }, { $gt: ["$offer.start_date", now] }] },
+                    applications: {
+                        $size: {
+                            $filter: {
+                                input: { $ifNull: ["$proposals", []] },
+                                as: "proposal",
+                                cond: { $and: [{ $ne: ["$$proposal", null] }, { $ne: ["$$proposal.status.code", "cancelled"] }] }
+                            }
+                        }
+                    }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    numberEvents: sumIf(isEvent),
+                    numberUpcomingEvents: sumIf({ $and: [isEvent, "$upcoming"] }),
+                    numberServicesOffered: sumIf({ $eq: ["$category", "offer"] }),
+                    numberVolunteerGigs: sumIf(isGigType("volunteer")),
+                    futureVolunteerHours: { $sum: { $cond: [{ $and: [isGig, "$future"] }, "$volunteerHours", 0] } },
+                    offeredVolunteerHours: { $sum: { $cond: [isGig, "$volunteerHours", 0] } },
+                    numberPaidGigs: sumIf(isGigType("paid")),
+                    numberAdHocGigs: sumIf(isGigType("ad-hoc")),
+                    totalNumberGigs: sumIf(isGig),
+                    numberApplicationsSubmitted: { $sum: { $cond: [isGig, "$applications", 0] } }
+                }
+            }
+        ]).exec();
     })
-        .then(function(requests) {
-            var requestStats = {
+        .then(function(results) {
+            return aggregateTotals(results, {
                 numberEvents: 0,
                 numberUpcomingEvents: 0,
                 numberServicesOffered: 0,
@@ -115,51 +359,7 @@ function countRequests() {
                 numberAdHocGigs: 0,
                 totalNumberGigs: 0,
                 numberApplicationsSubmitted: 0
-            };
-
-            var now = moment();
-
-            requests.forEach(function(currentRequest) {
-                if (currentRequest.isEvent) {
-                    requestStats.numberEvents++;
-                    if (currentRequest.request_date && moment(currentRequest.request_date).isAfter(now)) {
-                        requestStats.numberUpcomingEvents++;
-                    }
-                }
-                else if (currentRequest.isTemplate) {
-                }
-                else if (currentRequest.isOffer) {
-                    requestStats.numberServicesOffered++;
-                }
-                else {
-                    if (currentRequest.type === "volunteer") {
-                        requestStats.numberVolunteerGigs++;
-                        if (currentRequest.offer.time &&
-                            (currentRequest.offer.time.units === "hours")) {
-                            var numberHours = currentRequest.offer.time.value > 0 ? currentRequest.offer.time.value : 0;
-                            requestStats.offeredVolunteerHours += numberHours;
-                            if (currentRequest.status.code !== "cancelled" && currentRequest.offer.start_date && moment(currentRequest.offer.start_date).isAfter(now)) {
-                                requestStats.futureVolunteerHours += numberHours;
-                            }
-                        }
-                    }
-                    else if (currentRequest.type === "paid") {
-                        requestStats.numberPaidGigs++;
-                    }
-                    else if (currentRequest.type === "ad-hoc") {
-                        requestStats.numberAdHocGigs++;
-                    }
-
-                    requestStats.totalNumberGigs++;
-                    currentRequest.proposals.forEach(function(proposal) {
-                        if (proposal && (!proposal.status || proposal.status.code !== "cancelled")) {
-                            requestStats.numberApplicationsSubmitted++;
-                        }
-                    });
-                }
             });
-
-            return requestStats;
         })
         .catch(function(err) {
             logger.error("Error calculating request metrics: ", err);
@@ -167,55 +367,77 @@ function countRequests() {
         });
 }
 
-function countOrders() {
+function countOrders(match) {
     return Promise.try(function() {
-        return Order.find({})
-            .select("status completions proposals type")
-            .exec();
+        var isVolunteer = { $eq: ["$type", "volunteer"] };
+        // The proposal of each accepted completion's owner
+        var acceptedProposals = {
+            $map: {
+                input: {
+                    $filter: {
+                        input: { $ifNull: ["$completions", []] },
+                        as: "completion",
+                        cond: { $eq: ["$$completion.status.code", "accepted"] }
+                    }
+                },
+                as: "completion",
+                in: {
+                    $arrayElemAt: [{
+                        $filter: {
+                            input: { $ifNull: ["$proposals", []] },
+                            as: "proposal",
+                            cond: { $eq: ["$$proposal.owner_id", "$$completion.owner_id"] }
+                        }
+                    }, 0]
+                }
+            }
+        };
+
+        return Order.aggregate([
+            { $match: match },
+            {
+                $project: {
+                    type: 1,
+                    acceptedProposals: acceptedProposals
+                }
+            },
+            {
+                $project: {
+                    type: 1,
+                    hours: { $sum: "$acceptedProposals.time.value" },
+                    dollars: {
+                        $sum: {
+                            $map: {
+                                input: "$acceptedProposals",
+                                as: "proposal",
+                                in: { $multiply: ["$$proposal.time.value", "$$proposal.money.value"] }
+                            }
+                        }
+                    }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    numberVolunteerGigsCompleted: sumIf(isVolunteer),
+                    numberPaidGigsCompleted: sumIf({ $eq: ["$type", "paid"] }),
+                    numberAdHocGigsCompleted: sumIf({ $eq: ["$type", "ad-hoc"] }),
+                    numberGigsCompleted: { $sum: 1 },
+                    totalVolunteerHours: { $sum: { $cond: [isVolunteer, "$hours", 0] } },
+                    totalDollarsPaid: { $sum: { $cond: [isVolunteer, 0, "$dollars"] } }
+                }
+            }
+        ]).exec();
     })
-        .then(function(orders) {
-            var orderStats = {
+        .then(function(results) {
+            return aggregateTotals(results, {
                 numberVolunteerGigsCompleted: 0,
                 numberPaidGigsCompleted: 0,
                 numberAdHocGigsCompleted: 0,
                 numberGigsCompleted: 0,
                 totalVolunteerHours: 0,
                 totalDollarsPaid: 0
-            };
-
-            orders.forEach(function(order) {
-                if (!(order.status && order.status.code === "done")) {
-                    return;
-                }
-                if (order.type === "volunteer") {
-                    orderStats.numberVolunteerGigsCompleted++;
-                }
-                else if (order.type === "paid") {
-                    orderStats.numberPaidGigsCompleted++;
-                }
-                else if (order.type === "ad-hoc") {
-                    orderStats.numberAdHocGigsCompleted++;
-                }
-                orderStats.numberGigsCompleted++;
-
-                order.completions.forEach(function(completion) {
-                    if (completion.status && completion.status.code === "accepted") {
-                        var proposal = order.proposals.find(function(proposal) {
-                            return proposal.owner_id === completion.owner_id;
-                        });
-                        if (proposal) {
-                            if (order.type === "volunteer") {
-                                orderStats.totalVolunteerHours += proposal.time.value;
-                            }
-                            else {
-                                orderStats.totalDollarsPaid += proposal.time.value * proposal.money.value;
-                            }
-                        }
-                    }
-                });
             });
-
-            return orderStats;
         })
         .catch(function(err) {
             logger.error("Error calculating order metrics: ", err);
@@ -223,307 +445,2604 @@ function countOrders() {
         });
 }
 
-function countSpaces() {
+function countSpaces(match) {
     return Promise.try(function() {
-        return Space.find({})
-            .select("client_bookings availability")
-            .exec();
+        var hasRental = { $in: ["rental", { $ifNull: ["$client_bookings.bookingType", []] }] };
+        return Space.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: null,
+                    numberSpacesCreated: { $sum: 1 },
+                    numberSpacesRented: sumIf(hasRental),
+                    numberSpacesAvailable: sumIf(hasRental)
+                }
+            }
+        ]).exec();
     })
-        .then(function(spaces) {
-            var spacesStats = {
+        .then(function(results) {
+            return aggregateTotals(results, {
                 numberSpacesCreated: 0,
                 numberSpacesRented: 0,
                 numberSpacesAvailable: 0
-            };
-
-            spacesStats.numberSpacesCreated = spaces.length;
-            spaces.forEach(function(currentSpace) {
-                var hasRental = currentSpace.client_bookings.some(function(booking) {
-                    return booking.bookingType === "rental";
-                });
-                if (hasRental) {
-                    spacesStats.numberSpacesRented++;
-                    spacesStats.numberSpacesAvailable++;
-                    return;
-                }
             });
-
-            return spacesStats;
         })
         .catch(function(err) {
             logger.error("Error calculating space metrics: ", err);
             throw err;
         });
 }
+
+// Statistics for a single group are only for admins
+function optGigitAdminForGroup(req, res, next) {
+    if (req.query.groupId) {
+        return reqGigitAdmin(req, res, next);
+    }
+    next();
+}
 // #endregion
 
 // #region getStatus
 var upSince = new Date();
 
+const READINESS_PING_TIMEOUT = 2000;
+
+var eventLoopDelay = perfHooks.monitorEventLoopDelay();
+eventLoopDelay.enable();
+
 function getStatus(req, res) {
     res.status(200).send({ upSince: upSince });
 }
-// #endregion
 
-// #region Generic Maintenance Routes
-function genericGetRoute(req, res) {
-    return Promise.try(function() {
-        var model = res.locals.model;
-        var query = req.body.query;
-        var populate = req.body.populate || [];
-        var select = req.body.select;
-        var format = req.body.format || "json";
+// The process is running and answering requests
+function getLiveness(req, res) {
+    res.status(200).send({ status: "ok", upSince: upSince });
+}
 
-        return model.find(query)
-            .select(select)
-            .populate(populate)
-            .lean()
-            .exec()
-            .then(function(results) {
-                if (format === "csv") {
-                    res.csv(results, true);
-                }
-                else {
-                    res.status(200).send(results);
-                }
+/*
+ * Whether the process can serve requests: MongoDB must be connected and answer
+ * a ping. Also reports the statistics cache age, memory use, event loop lag
+ * since the previous check and the build version. Responds 503 when not ready.
+ */
+function getReadiness(req, res) {
+    var readyState = mongoose.connection.readyState;
+    var database = {
+        state: mongoose.STATES[readyState],
+        pingMs: null
+    };
+
+    var ping;
+    if (readyState === mongoose.STATES.connected) {
+        var pingStart = Date.now();
+        ping = Promise.resolve(mongoose.connection.db.admin().ping())
+            .timeout(READINESS_PING_TIMEOUT)
+            .then(function() {
+                database.pingMs = Date.now() - pingStart;
+                return true;
+            })
+            .catch(function(err) {
+                database.error = err.message;
+                return false;
             });
+    }
+    else {
+        ping = Promise.resolve(false);
+    }
+
+    return ping.then(function(databaseReady) {
+        var platformStatistics = statisticsCache[JSON.stringify({})];
+        var eventLoop = {
+            meanMs: eventLoopDelay.mean / 1e6,
+            p99Ms: eventLoopDelay.percentile(99) / 1e6,
+            maxMs: eventLoopDelay.max / 1e6
+        };
+        eventLoopDelay.reset();
+
+        res.status(databaseReady ? 200 : 503).send({
+            status: databaseReady ? "ok" : "unavailable",
+            upSince: upSince,
+            version: process.env.BUILD_VERSION || null,
+            nodeVersion: process.version,
+            database: database,
+            statisticsCacheAgeMs: platformStatistics ? Date.now() - platformStatistics.computedTime : null,
+            memory: process.memoryUsage(),
+            eventLoop: eventLoop
+        });
     });
 }
+// #endregion
 
-function genericRefRoute(req, res) {
-    return Promise.try(function() {
-        var model = res.locals.model;
-        var query = req.body.query;
+// #region Metrics
+const METRICS_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
 
-        var refField = req.body.refField;
-        var refModel = res.locals.refModel;
-        var refQuery = req.body.refQuery;
+// Per route request counts and durations, and writes by whether they were saved
+var routeMetrics = {};
+var writeMetrics = {};
 
-        if (!query) {
-            throw createError(422, "Missing query");
+function trackRouteMetrics(req, res, next) {
+    var start = process.hrtime();
+    res.on("finish", function() {
+        if (!req.route) {
+            return;
+        }
+        var elapsed = process.hrtime(start);
+        var duration = elapsed[0] + elapsed[1] / 1e9;
+        var labels = { method: req.method, route: req.route.path };
+        var key = labels.method + " " + labels.route;
+
+        var metrics = routeMetrics[key];
+        if (!metrics) {
+            metrics = routeMetrics[key] = {
+                labels: labels,
+                codes: {},
+                errors: 0,
+                durationSum: 0,
+                durationCount: 0,
+                buckets: METRICS_DURATION_BUCKETS.map(function() {
+                    return 0;
+                })
+            };
         }
-        if (!refField) {
-            throw createError(422, "Missing refField");
+        metrics.codes[res.statusCode] = (metrics.codes[res.statusCode] || 0) + 1;
+        if (res.statusCode >= 500) {
+            metrics.errors++;
         }
-        if (!refQuery) {
-            throw createError(422, "Missing refQuery");
+        metrics.durationSum += duration;
+        metrics.durationCount++;
+        METRICS_DURATION_BUCKETS.forEach(function(bucket, index) {
+            if (duration <= bucket) {
+                metrics.buckets[index]++;
+            }
+        });
+
+        // Jobs are counted once they finish, when it's known whether they saved
+        if (res.locals.audit && !res.locals.job) {
+            countWrite(req, res);
         }
+    });
+    next();
+}
 
-        return model.find(query).lean().exec()
-            .then(function(objects) {
-                var refIds = Array.from(new Set(objects.map(object => object[refField].toString())));
-                refQuery._id = { $in: refIds };
-                return refModel.find(refQuery).exec();
-            })
-            .then(function(results) {
-                res.status(200).send(results);
+// Counts an audited request as a save if it saved anything, and as a dry run if not
+function countWrite(req, res) {
+    var mode = res.locals.audit.saves > 0 ? "save" : "dry_run";
+    var labels = { method: req.method, route: req.route.path, mode: mode };
+    var writeKey = labels.method + " " + labels.route + " " + mode;
+    if (!writeMetrics[writeKey]) {
+        writeMetrics[writeKey] = { labels: labels, count: 0 };
+    }
+    writeMetrics[writeKey].count++;
+}
+
+function metricLine(name, labels, value) {
+    var labelText = Object.keys(labels || {})
+        .map(function(label) {
+            var labelValue = String(labels[label]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+            return label + "=\"" + labelValue + "\"";
+        })
+        .join(",");
+    return name + (labelText ? "{" + labelText + "}" : "") + " " + value;
+}
+
+function metricHeader(name, type, help) {
+    return ["# HELP " + name + " " + help, "# TYPE " + name + " " + type];
+}
+
+/*
+ * Prometheus text format: the platform statistics as gauges, and request counts,
+ * durations, errors and writes for each maintenance route
+ */
+function getMetrics(req, res) {
+    return Promise.try(function() {
+        var platformStatistics = getCachedStatistics({});
+        if (platformStatistics) {
+            return platformStatistics;
+        }
+        return computeStatistics({})
+            .then(function(statisticsObject) {
+                cacheStatistics({}, statisticsObject);
+                return statisticsObject;
+            });
+    })
+        .then(function(statisticsObject) {
+            var lines = [];
+
+            Object.keys(_.omit(statisticsObject, "computedTime")).forEach(function(metric) {
+                var name = "gigit_platform_" + _.snakeCase(metric);
+                lines.push.apply(lines, metricHeader(name, "gauge", "Platform statistic " + metric));
+                lines.push(metricLine(name, null, statisticsObject[metric]));
+            });
+
+            var routes = _.values(routeMetrics);
+
+            lines.push.apply(lines, metricHeader("gigit_maintenance_requests_total", "counter", "Maintenance requests by route and status code"));
+            routes.forEach(function(metrics) {
+                Object.keys(metrics.codes).forEach(function(code) {
+                    lines.push(metricLine("gigit_maintenance_requests_total", Object.assign({ code: code }, metrics.labels), metrics.codes[code]));
+                });
+            });
+
+            lines.push.apply(lines, metricHeader("gigit_maintenance_request_errors_total", "counter", "Maintenance requests that ended with a 5xx status"));
+            routes.forEach(function(metrics) {
+                lines.push(metricLine("gigit_maintenance_request_errors_total", metrics.labels, metrics.errors));
+            });
+
+            lines.push.apply(lines, metricHeader("gigit_maintenance_request_duration_seconds", "histogram", "Maintenance request durations"));
+            routes.forEach(function(metrics) {
+                METRICS_DURATION_BUCKETS.forEach(function(bucket, index) {
+                    lines.push(metricLine("gigit_maintenance_request_duration_seconds_bucket", Object.assign({ le: bucket }, metrics.labels), metrics.buckets[index]));
+                });
+                lines.push(metricLine("gigit_maintenance_request_duration_seconds_bucket", Object.assign({ le: "+Inf" }, metrics.labels), metrics.durationCount));
+                lines.push(metricLine("gigit_maintenance_request_duration_seconds_sum", metrics.labels, metrics.durationSum));
+                lines.push(metricLine("gigit_maintenance_request_duration_seconds_count", metrics.labels, metrics.durationCount));
+            });
+
+            lines.push.apply(lines, metricHeader("gigit_maintenance_writes_total", "counter", "Maintenance write requests, by whether they saved anything or were dry runs"));
+            _.values(writeMetrics).forEach(function(metrics) {
+                lines.push(metricLine("gigit_maintenance_writes_total", metrics.labels, metrics.count));
             });
+
+            res.set("Content-Type", "text/plain; version=0.0.4");
+            res.status(200).send(lines.join("\n") + "\n");
+        });
+}
+// #endregion
+
+// #region Redaction
+// Paths removed or masked in every maintenance response, by model
+const REDACTION_POLICY = {
+    User: {
+        password: "remove",
+        salt: "remove",
+        tokens: "remove",
+        resetPasswordToken: "remove",
+        stripeCustomerId: "mask"
+    },
+    StripeAccount: {
+        access_token: "remove",
+        refresh_token: "remove",
+        stripe_publishable_key: "mask",
+        stripe_user_id: "mask"
+    }
+};
+const REDACTION_MASK_VISIBLE = 4;
+
+function getAdminId(req) {
+    return req.user && (req.user._id || req.user);
+}
+
+/*
+ * Lets admins listed in config.maintenance.unredactedAdmins send
+ * `unredacted: true` to see redacted paths. Every use is logged.
+ */
+function optUnredacted(req, res, next) {
+    var unredacted = req.body.unredacted === true || req.query.unredacted === "true";
+    if (!unredacted) {
+        return next();
+    }
+
+    var adminId = getAdminId(req);
+    var unredactedAdmins = _.get(config, "maintenance.unredactedAdmins", []);
+    if (!adminId || unredactedAdmins.indexOf(adminId.toString()) === -1) {
+        throw createError(403, "Not allowed to see unredacted data");
+    }
+    logger.warn("Unredacted maintenance response for " + adminId + ": " + req.method + " " + req.originalUrl);
+    res.locals.unredacted = true;
+    next();
+}
+
+// Redacts the mongoose documents in every response, unless unredacted was allowed
+function redactResponses(req, res, next) {
+    var send = res.send;
+    res.send = function(body) {
+        if (!res.locals.unredacted) {
+            body = redactBody(body);
+        }
+        return send.call(this, body);
+    };
+    next();
+}
+
+function redactBody(value) {
+    if (value instanceof mongoose.Document) {
+        return redactDocument(value.toJSON(), value.constructor.modelName);
+    }
+    if (Array.isArray(value)) {
+        return value.map(redactBody);
+    }
+    if (_.isPlainObject(value)) {
+        return _.mapValues(value, redactBody);
+    }
+    return value;
+}
+
+function redactDocuments(res, modelName, documents) {
+    if (res.locals.unredacted) {
+        return documents;
+    }
+    return documents.map(function(document) {
+        return redactDocument(document, modelName);
     });
 }
 
-function genericUniqueRoute(req, res) {
-    return Promise.try(function() {
-        var model = res.locals.model;
-        var query = req.body.query;
-        var selection = req.body.selection;
+/*
+ * Copy of a plain document with the model's redacted paths removed or masked.
+ * Only the objects along those paths are copied.
+ */
+function redactDocument(document, modelName) {
+    var policy = REDACTION_POLICY[modelName];
+    if (!policy || !_.isPlainObject(document)) {
+        return document;
+    }
+    return Object.keys(policy).reduce(function(redacted, redactedPath) {
+        return redactPath(redacted, redactedPath.split("."), policy[redactedPath]);
+    }, document);
+}
+
+function redactPath(object, steps, action) {
+    if (!_.isPlainObject(object) || !(steps[0] in object)) {
+        return object;
+    }
+    var copy = Object.assign({}, object);
+    if (steps.length > 1) {
+        copy[steps[0]] = redactPath(copy[steps[0]], steps.slice(1), action);
+    }
+    else if (action === "mask") {
+        copy[steps[0]] = maskValue(copy[steps[0]]);
+    }
+    else {
+        delete copy[steps[0]];
+    }
+    return copy;
+}
+
+function maskValue(value) {
+    if (value == null) {
+        return value;
+    }
+    var text = String(value);
+    return text.length > REDACTION_MASK_VISIBLE ? "****" + text.slice(-REDACTION_MASK_VISIBLE) : "****";
+}
+
+function isRedactedPath(modelName, path) {
+    return Object.keys(REDACTION_POLICY[modelName] || {}).some(function(redactedPath) {
+        return path === redactedPath || path.startsWith(redactedPath + ".") || redactedPath.startsWith(path + ".");
+    });
+}
+
+/*
+ * Populated documents aren't redacted, so populating a model with a redaction
+ * policy, or a path whose model the schema doesn't name, needs unredacted.
+ */
+function checkPopulate(model, populate) {
+    normalizePopulate(populate).forEach(function(option) {
+        var refModel = getPopulateModel(model, option);
+        if (!refModel || REDACTION_POLICY[refModel.modelName]) {
+            throw createError(403, "Populating " + option.path + " needs unredacted");
+        }
+        if (option.populate) {
+            checkPopulate(refModel, option.populate);
+        }
+    });
+}
+
+// The forms mongoose takes: "a b", ["a", "b"], { path, populate } or arrays of those
+function normalizePopulate(populate) {
+    if (populate == null) {
+        return [];
+    }
+    if (Array.isArray(populate)) {
+        return _.flatMap(populate, normalizePopulate);
+    }
+    if (_.isString(populate)) {
+        populate = { path: populate };
+    }
+    if (!_.isPlainObject(populate) || !_.isString(populate.path)) {
+        throw createError(422, "populate must be paths or { path } options");
+    }
+    return _.compact(populate.path.split(/\s+/)).map(function(path) {
+        return Object.assign({}, populate, { path: path });
+    });
+}
+
+function getPopulateModel(model, option) {
+    var ref = option.model;
+    if (!ref) {
+        var schemaType = model.schema.path(option.path);
+        var caster = schemaType && schemaType.caster;
+        ref = schemaType && (schemaType.options.ref || (caster && caster.options && caster.options.ref));
+    }
+    if (typeof ref === "function") {
+        ref = ref.modelName;
+    }
+    return _.isString(ref) ? model.db.models[ref] : null;
+}
+// #endregion
+
+// #region Extended JSON
+/*
+ * Request bodies can use MongoDB Extended JSON for the types plain JSON can't
+ * hold: { $oid }, { $date } and { $numberDecimal }. Bodies are converted once,
+ * before any route sees them, so queries and values get real ObjectIds, Dates
+ * and Decimal128s. Responses use the same types with `extendedJson: true` or
+ * ?extendedJson=true.
+ */
+function extendedJson(req, res, next) {
+    req.body = parseExtendedJson(req.body, "body");
+
+    var send = res.send;
+    res.send = function(body) {
+        if (_.get(req.body, "extendedJson") === true || req.query.extendedJson === "true") {
+            body = toExtendedJson(body);
+        }
+        return send.call(this, body);
+    };
+    next();
+}
+
+function parseExtendedJson(value, path) {
+    if (Array.isArray(value)) {
+        return value.map(function(element, index) {
+            return parseExtendedJson(element, path + "." + index);
+        });
+    }
+    if (!_.isPlainObject(value)) {
+        return value;
+    }
+
+    var keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === "$oid") {
+        if (!ObjectId.isValid(value.$oid) || String(value.$oid).length !== 24) {
+            throw createError(422, "Bad $oid at " + path);
+        }
+        return ObjectId(value.$oid);
+    }
+    if (keys.length === 1 && keys[0] === "$date") {
+        // Canonical Extended JSON wraps the epoch milliseconds in { $numberLong }
+        var dateValue = _.isPlainObject(value.$date) ? Number(value.$date.$numberLong) : value.$date;
+        var date = new Date(dateValue);
+        if (isNaN(date.getTime())) {
+            throw createError(422, "Bad $date at " + path);
+        }
+        return date;
+    }
+    if (keys.length === 1 && keys[0] === "$numberDecimal") {
+        try {
+            return mongoose.Types.Decimal128.fromString(String(value.$numberDecimal));
+        }
+        catch (err) {
+            throw createError(422, "Bad $numberDecimal at " + path);
+        }
+    }
+    return _.mapValues(value, function(element, key) {
+        return parseExtendedJson(element, path + "." + key);
+    });
+}
+
+/*
+ * For the older ways of sending ids: $setid changes, idValues and objectId: true
+ * mark plain strings as ObjectIds, and modifyBid takes plain strings. They're
+ * kept for existing callers, and go through the same conversion as { $oid }.
+ * Routes that still use callbacks convert before their first one, so that a bad
+ * id reaches the error handler as a 422.
+ */
+function toObjectIdValue(value, path) {
+    if (value instanceof ObjectId) {
+        return value;
+    }
+    return parseExtendedJson({ $oid: value == null ? value : String(value) }, path);
+}
+
+function toExtendedJson(value) {
+    if (value instanceof mongoose.Document) {
+        return toExtendedJson(value.toObject());
+    }
+    if (value instanceof ObjectId) {
+        return { $oid: value.toString() };
+    }
+    if (value instanceof Date) {
+        return { $date: value.toISOString() };
+    }
+    if (value instanceof mongoose.Types.Decimal128) {
+        return { $numberDecimal: value.toString() };
+    }
+    if (Array.isArray(value)) {
+        return value.map(toExtendedJson);
+    }
+    if (_.isPlainObject(value)) {
+        return _.mapValues(value, toExtendedJson);
+    }
+    return value;
+}
+// #endregion
+
+// #region Audit log
+const AUDIT_OMITTED_FIELDS = ["password", "token", "save"];
+const AUDIT_RESULT_LENGTH = 10000;
+
+function auditStringify(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (typeof value === "string") {
+        return value;
+    }
+    try {
+        return JSON.stringify(value);
+    }
+    catch (err) {
+        return String(value);
+    }
+}
+
+function auditParse(value) {
+    if (value == null) {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    }
+    catch (err) {
+        return value;
+    }
+}
+
+/*
+ * Copy of a document as it is right now, so that later changes to the document
+ * don't change the snapshot
+ */
+function snapshot(document) {
+    if (document == null) {
+        return null;
+    }
+    if (typeof document.toObject === "function") {
+        return document.toObject({ depopulate: true });
+    }
+    return _.cloneDeep(document);
+}
+
+/*
+ * Records an audit entry for the current request, written when the response is
+ * sent. Each document the request saves is written as its own change as soon as
+ * it is saved, since some routes keep saving after they have responded.
+ */
+function reqAudit(req, res, next) {
+    var entry = {
+        _id: new ObjectId(),
+        user_id: getAdminId(req),
+        method: req.method,
+        route: req.baseUrl + req.route.path,
+        model: res.locals.model ? res.locals.model.modelName : undefined,
+        query: auditStringify(req.body.query),
+        body: auditStringify(_.omit(req.body, AUDIT_OMITTED_FIELDS))
+    };
+    var audit = {
+        entry: entry,
+        // Snapshots from auditBefore of documents not saved yet, by model and id
+        pending: {},
+        saves: 0,
+        finished: false,
+        written: Promise.resolve()
+    };
+    res.locals.audit = audit;
+
+    var send = res.send;
+    res.send = function(body) {
+        if (entry.result === undefined) {
+            // Stored redacted, even when the response isn't
+            var result = auditStringify(redactBody(body));
+            entry.result = result && result.slice(0, AUDIT_RESULT_LENGTH);
+        }
+        return send.apply(this, arguments);
+    };
+
+    var finish = function() {
+        if (audit.finished) {
+            return;
+        }
+        audit.finished = true;
+        entry.statusCode = res.statusCode;
+        writeAudit(audit, function() {
+            return MaintenanceAudit.updateOne({ _id: entry._id }, entry, { upsert: true }).exec();
+        });
+    };
+    res.on("finish", finish);
+    res.on("close", finish);
+    next();
+}
+
+// Writes one after another, so a document's later snapshots win
+function writeAudit(audit, write) {
+    audit.written = audit.written
+        .then(write)
+        .catch(function(err) {
+            logger.error("Error writing maintenance audit: ", err);
+        });
+}
+
+function auditKey(document) {
+    return document.constructor.modelName + " " + document._id;
+}
+
+/*
+ * Snapshot of a document before the route changes it, kept until the document is
+ * saved. Returns the snapshot. Routes that have already taken one can pass it as
+ * `before`; dry runs needn't call this at all.
+ */
+function auditBefore(res, document, before) {
+    if (before === undefined) {
+        before = snapshot(document);
+    }
+    var audit = res.locals.audit;
+    if (audit && before && !(auditKey(document) in audit.pending)) {
+        audit.pending[auditKey(document)] = before;
+    }
+    return before;
+}
+
+/*
+ * Writes the change for a document once it has been saved, or removed if
+ * `removed` is set
+ */
+function auditAfter(res, document, removed) {
+    var audit = res.locals.audit;
+    if (!audit || document == null) {
+        return;
+    }
+    var key = auditKey(document);
+    var before = audit.pending[key];
+    delete audit.pending[key];
+    audit.saves++;
+
+    var change = {
+        audit_id: audit.entry._id,
+        model: document.constructor.modelName,
+        document_id: document._id
+    };
+    var update = {
+        // A document saved more than once keeps its first before snapshot
+        $setOnInsert: { before: before || null },
+        $set: { after: removed ? null : snapshot(document), removed: Boolean(removed) }
+    };
+    writeAudit(audit, function() {
+        return MaintenanceAuditChange.updateOne(change, update, { upsert: true }).exec();
+    });
+}
+
+// For routes that save through other models' methods, which leave no snapshots
+function auditSaved(res) {
+    if (res.locals.audit) {
+        res.locals.audit.saves++;
+    }
+}
+
+const AUDIT_ENTRY_CHANGES = 100;
+
+/*
+ * Audit entries, newest first, each with its first AUDIT_ENTRY_CHANGES changes
+ * and its changeCount
+ */
+function getAudit(req, res) {
+    return Promise.try(function() {
+        var query = {};
+        var changeQuery = {};
+        var limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+        ["user_id", "document_id"].forEach(function(idField) {
+            if (req.query[idField] && !ObjectId.isValid(req.query[idField])) {
+                throw createError(422, "Invalid " + idField);
+            }
+        });
+        if (req.query.user_id) {
+            query.user_id = req.query.user_id;
+        }
+        if (req.query.model) {
+            changeQuery.model = req.query.model;
+        }
+        if (req.query.document_id) {
+            changeQuery.document_id = ObjectId(req.query.document_id);
+        }
+        if (req.query.route) {
+            query.route = req.query.route;
+        }
+        if (req.query.from || req.query.to) {
+            query.createdAt = {};
+            if (req.query.from) {
+                query.createdAt.$gte = parseQueryDate(req.query.from, "from");
+            }
+            if (req.query.to) {
+                query.createdAt.$lte = parseQueryDate(req.query.to, "to");
+            }
+        }
+
+        var changedAuditIds = _.isEmpty(changeQuery) ? null : MaintenanceAuditChange.distinct("audit_id", changeQuery).exec();
+        return Promise.resolve(changedAuditIds)
+            .then(function(auditIds) {
+                if (auditIds) {
+                    var changedQuery = { _id: { $in: auditIds } };
+                    if (req.query.model && !req.query.document_id) {
+                        changedQuery = { $or: [{ model: req.query.model }, changedQuery] };
+                    }
+                    query = { $and: [query, changedQuery] };
+                }
+                return MaintenanceAudit.find(query)
+                    .sort({ createdAt: -1 })
+                    .limit(limit)
+                    .lean()
+                    .exec();
+            })
+            .then(function(entries) {
+                return findAuditChanges(_.map(entries, "_id"))
+                    .then(function(changesByAudit) {
+                        entries.forEach(function(entry) {
+                            var changes = changesByAudit[entry._id.toString()] || { changes: [], changeCount: 0 };
+                            entry.query = auditParse(entry.query);
+                            entry.body = auditParse(entry.body);
+                            entry.result = auditParse(entry.result);
+                            entry.changeCount = changes.changeCount;
+                            entry.changes = changes.changes;
+                            if (!res.locals.unredacted) {
+                                entry.changes.forEach(function(change) {
+                                    change.before = redactDocument(change.before, change.model);
+                                    change.after = redactDocument(change.after, change.model);
+                                });
+                            }
+                        });
+                        res.status(200).send(entries);
+                    });
+            });
+    });
+}
+
+// { audit id: { changes, changeCount } }
+function findAuditChanges(auditIds) {
+    return MaintenanceAuditChange.aggregate([
+        { $match: { audit_id: { $in: auditIds } } },
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: "$audit_id", changes: { $push: "$$ROOT" }, changeCount: { $sum: 1 } } },
+        { $project: { changes: { $slice: ["$changes", AUDIT_ENTRY_CHANGES] }, changeCount: 1 } }
+    ])
+        .allowDiskUse(true)
+        .exec()
+        .then(function(groups) {
+            return _.keyBy(groups, function(group) {
+                return group._id.toString();
+            });
+        });
+}
+
+/*
+ * JSON form of a snapshot, with ObjectIds and Dates as strings
+ */
+function normalizeSnapshot(value) {
+    return value == null ? null : JSON.parse(JSON.stringify(value));
+}
+
+/*
+ * Compares two snapshots by their JSON form, so ObjectIds, Dates and key order
+ * don't matter
+ */
+function snapshotsMatch(first, second) {
+    return _.isEqual(normalizeSnapshot(first), normalizeSnapshot(second));
+}
+
+function parseQueryDate(value, name) {
+    var date = /^\d+$/.test(value) ? moment(Number(value)) : moment(value, moment.ISO_8601);
+    if (!date.isValid()) {
+        throw createError(422, "Invalid " + name + " date");
+    }
+    return date.toDate();
+}
+// #endregion
+
+// #region Diffs
+/*
+ * Field-level differences between two snapshots, as JSON-Patch style operations
+ * ({ op, path, value }) with the old value added to "remove" and "replace".
+ */
+function diffSnapshots(before, after) {
+    var diff = [];
+    // A missing document is treated as absent rather than null, so creation and removal are "add" and "remove"
+    diffValues(before == null ? undefined : normalizeSnapshot(before), after == null ? undefined : normalizeSnapshot(after), "", diff);
+    return diff;
+}
+
+function diffValues(before, after, path, diff) {
+    if (_.isEqual(before, after)) {
+        return;
+    }
+    if (before === undefined) {
+        diff.push({ op: "add", path: path, value: after });
+        return;
+    }
+    if (after === undefined) {
+        diff.push({ op: "remove", path: path, oldValue: before });
+        return;
+    }
+    if (_.isArray(before) && _.isArray(after)) {
+        var length = Math.min(before.length, after.length);
+        for (var index = 0; index < length; index++) {
+            diffValues(before[index], after[index], path + "/" + index, diff);
+        }
+        for (index = length; index < after.length; index++) {
+            diff.push({ op: "add", path: path + "/" + index, value: after[index] });
+        }
+        // Removed from the end first, so each path is still valid when applied in order
+        for (index = before.length - 1; index >= length; index--) {
+            diff.push({ op: "remove", path: path + "/" + index, oldValue: before[index] });
+        }
+        return;
+    }
+    if (_.isPlainObject(before) && _.isPlainObject(after)) {
+        _.union(Object.keys(before), Object.keys(after)).forEach(function(key) {
+            diffValues(before[key], after[key], path + "/" + escapePointer(key), diff);
+        });
+        return;
+    }
+    diff.push({ op: "replace", path: path, value: after, oldValue: before });
+}
+
+function escapePointer(key) {
+    return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/*
+ * What a route changed in a document: the before snapshot against the document
+ * as it is now (null once it is removed), with redacted paths left out
+ */
+function describeChange(res, before, document, saved, modelName) {
+    var after = snapshot(document);
+    var id = (after || before)._id;
+    if (!res.locals.unredacted) {
+        modelName = modelName || (document ? document.constructor.modelName : res.locals.model && res.locals.model.modelName);
+        before = redactDocument(before, modelName);
+        after = redactDocument(after, modelName);
+    }
+    return {
+        _id: id,
+        saved: Boolean(saved),
+        diff: diffSnapshots(before, after)
+    };
+}
+
+function sendDiff(res, status, before, document, saved) {
+    return res.status(status).send(describeChange(res, before, document, saved));
+}
+// #endregion
+
+// #region Undo
+/*
+ * Puts back the documents changed by an audited request, from the snapshots in
+ * its audit entry. Refuses if any document has changed since, unless forced.
+ */
+function undoChange(req, res) {
+    var changeId = req.params.changeId;
+
+    return Promise.try(function() {
+        if (!ObjectId.isValid(changeId)) {
+            throw createError(422, "Invalid changeId");
+        }
+        return MaintenanceAudit.findById(changeId).exec();
+    })
+        .then(function(entry) {
+            if (!entry) {
+                throw createError(404, "Change not found: " + changeId);
+            }
+            if (entry.undo_id) {
+                throw createError(409, "Change was already undone by " + entry.undo_id);
+            }
+
+            return MaintenanceAuditChange.find({ audit_id: entry._id }).sort({ createdAt: 1 }).lean().exec()
+                .then(function(changes) {
+                    return undoChanges(req, res, entry, changes);
+                });
+        });
+}
+
+function undoChanges(req, res, entry, changes) {
+    var saveEnabled = res.locals.saveEnabled;
+    var changeId = req.params.changeId;
+    var force = req.body.force === true;
+
+    var savedChanges = changes.filter(function(change) {
+        return change.after != null || change.removed;
+    });
+    if (savedChanges.length === 0) {
+        throw createError(422, "Change has no saved documents to undo");
+    }
+
+    return Promise.mapSeries(savedChanges, function(change) {
+        var model = getChangeModel(change);
+        return model.findById(change.document_id).exec()
+            .then(function(current) {
+                return {
+                    change: change,
+                    model: model,
+                    current: current,
+                    conflict: !snapshotsMatch(snapshot(current), change.after)
+                };
+            });
+    })
+        .then(function(restores) {
+            var conflicts = restores
+                .filter(function(restore) {
+                    return restore.conflict;
+                })
+                .map(function(restore) {
+                    return { model: restore.change.model, document_id: restore.change.document_id };
+                });
+            if (conflicts.length > 0 && !force) {
+                throw createError(409, "Documents have changed since " + changeId, { conflicts: conflicts });
+            }
+
+            var report = {
+                change_id: changeId,
+                saved: Boolean(saveEnabled),
+                documents: restores.map(function(restore) {
+                    return {
+                        model: restore.change.model,
+                        document_id: restore.change.document_id,
+                        action: restore.change.before == null ? "remove" : "restore",
+                        conflict: restore.conflict
+                    };
+                })
+            };
+            if (!saveEnabled) {
+                return res.status(200).send(report);
+            }
+
+            return Promise.each(restores, restoreSnapshot.bind(null, res))
+                .then(function() {
+                    entry.undo_id = res.locals.audit && res.locals.audit.entry._id;
+                    return entry.save();
+                })
+                .then(function() {
+                    res.status(200).send(report);
+                });
+        });
+}
+
+function getChangeModel(change) {
+    try {
+        return mongoose.model(change.model);
+    }
+    catch (err) {
+        throw createError(422, "Unknown model " + change.model);
+    }
+}
+
+function restoreSnapshot(res, restore) {
+    var model = restore.model;
+    var change = restore.change;
+
+    if (restore.current) {
+        auditBefore(res, restore.current);
+    }
+    if (change.before == null) {
+        return model.collection.deleteOne({ _id: change.document_id })
+            .then(function() {
+                auditAfter(res, restore.current, true);
+            });
+    }
+    return model.collection.replaceOne({ _id: change.document_id }, change.before, { upsert: true })
+        .then(function() {
+            return model.findById(change.document_id).exec();
+        })
+        .then(function(restored) {
+            auditAfter(res, restored);
+        });
+}
+// #endregion
+
+// #region Jobs
+const JOB_PROGRESS_INTERVAL = moment.duration(2, "seconds");
+const JOB_HEARTBEAT_INTERVAL = moment.duration(1, "minute");
+const JOB_STALE_AFTER = moment.duration(5, "minutes");
+const JOB_MAX_ITEM_ERRORS = 1000;
+const JOB_STATUSES = MaintenanceJob.schema.path("status").enumValues;
+
+// Jobs running in this process, by id
+var runningJobs = {};
+
+/*
+ * Runs work(job) in the background and answers 202 with { job_id }. The job
+ * keeps running when the request ends, and is tracked through the jobs routes.
+ *
+ * work gets a job with progress(done, total), itemError(item, err), which records
+ * a failed item without stopping, and checkCancelled(), which throws once the job
+ * has been cancelled. Whatever work resolves to is stored as the job's result.
+ */
+function startJob(req, res, type, work) {
+    var job = new MaintenanceJob({
+        type: type,
+        status: "running",
+        user_id: getAdminId(req),
+        route: req.baseUrl + req.route.path,
+        audit_id: res.locals.audit && res.locals.audit.entry._id,
+        progress: { done: 0, total: null },
+        itemErrors: [],
+        errorCount: 0,
+        heartbeatAt: new Date()
+    });
+
+    return job.save()
+        .then(function() {
+            var context = createJobContext(job);
+            res.locals.job = job;
+            runningJobs[job.id] = context;
+            Promise.try(function() {
+                return work(context);
+            })
+                .then(function(result) {
+                    return finishJob(context, "succeeded", { result: result });
+                }, function(err) {
+                    if (!context.cancelled) {
+                        logger.error("Maintenance job " + job.id + " failed: ", err);
+                    }
+                    return finishJob(context, context.cancelled ? "cancelled" : "failed", { error: err.message });
+                })
+                .finally(function() {
+                    delete runningJobs[job.id];
+                    if (res.locals.audit) {
+                        countWrite(req, res);
+                    }
+                });
+
+            res.status(202).send({ job_id: job._id });
+        });
+}
+
+function createJobContext(job) {
+    var context = {
+        id: job._id,
+        cancelled: false,
+        progress: function(done, total) {
+            job.progress.done = done;
+            if (total !== undefined) {
+                job.progress.total = total;
+            }
+            return writeJobProgress(context);
+        },
+        itemError: function(item, err) {
+            job.errorCount++;
+            if (job.itemErrors.length < JOB_MAX_ITEM_ERRORS) {
+                job.itemErrors.push({ item: String(item), message: err.message || String(err) });
+            }
+        },
+        checkCancelled: function() {
+            if (context.cancelled) {
+                throw createError(409, "Job cancelled");
+            }
+        },
+        job: job,
+        written: Promise.resolve(),
+        writtenTime: 0
+    };
+    return context;
+}
+
+/*
+ * Saves the job's progress at most every JOB_PROGRESS_INTERVAL, picking up a
+ * cancel requested through any process
+ */
+function writeJobProgress(context, force) {
+    if (!force && Date.now() - context.writtenTime < JOB_PROGRESS_INTERVAL.asMilliseconds()) {
+        return context.written;
+    }
+    context.writtenTime = Date.now();
+    var job = context.job;
+    var update = {
+        progress: { done: job.progress.done, total: job.progress.total },
+        itemErrors: job.itemErrors.toObject(),
+        errorCount: job.errorCount,
+        heartbeatAt: new Date()
+    };
+    context.written = context.written
+        .then(function() {
+            return MaintenanceJob.findByIdAndUpdate(job._id, { $set: update }, { new: true }).select("cancelRequested").lean().exec();
+        })
+        .then(function(savedJob) {
+            if (savedJob && savedJob.cancelRequested) {
+                context.cancelled = true;
+            }
+        })
+        .catch(function(err) {
+            logger.error("Error saving maintenance job progress: ", err);
+        });
+    return context.written;
+}
+
+function finishJob(context, status, outcome) {
+    var job = context.job;
+    return writeJobProgress(context, true)
+        .then(function() {
+            return MaintenanceJob.updateOne({ _id: job._id }, {
+                $set: Object.assign({ status: status, finishedAt: new Date() }, outcome)
+            }).exec();
+        })
+        .catch(function(err) {
+            logger.error("Error finishing maintenance job: ", err);
+        });
+}
+
+/*
+ * Keeps this process's running jobs alive, and marks running jobs that nothing
+ * has kept alive for JOB_STALE_AFTER (their process stopped) as interrupted
+ */
+function checkJobHeartbeats() {
+    var runningIds = Object.keys(runningJobs);
+    return MaintenanceJob.updateMany({ _id: { $in: runningIds } }, { $set: { heartbeatAt: new Date() } }).exec()
+        .then(function() {
+            return MaintenanceJob.updateMany({
+                status: "running",
+                heartbeatAt: { $lt: moment().subtract(JOB_STALE_AFTER).toDate() }
+            }, {
+                $set: { status: "interrupted", finishedAt: new Date() }
+            }).exec();
+        })
+        .catch(function(err) {
+            logger.error("Error checking maintenance jobs: ", err);
+        });
+}
+
+setInterval(checkJobHeartbeats, JOB_HEARTBEAT_INTERVAL.asMilliseconds()).unref();
+
+// Jobs, newest first, without their item errors and results
+function listJobs(req, res) {
+    return Promise.try(function() {
+        var query = {};
+        var limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+        if (req.query.status) {
+            if (JOB_STATUSES.indexOf(req.query.status) === -1) {
+                throw createError(422, "status must be one of " + JOB_STATUSES.join(", "));
+            }
+            query.status = req.query.status;
+        }
+        if (req.query.type) {
+            query.type = req.query.type;
+        }
+
+        return MaintenanceJob.find(query)
+            .select("-itemErrors -result")
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean()
+            .exec()
+            .then(function(jobs) {
+                res.status(200).send(jobs);
+            });
+    });
+}
+
+function getJob(req, res) {
+    return Promise.try(function() {
+        if (!ObjectId.isValid(req.params.id)) {
+            throw createError(422, "Invalid job id");
+        }
+        return MaintenanceJob.findById(req.params.id).lean().exec();
+    })
+        .then(function(job) {
+            if (!job) {
+                throw createError(404, "Job not found");
+            }
+            res.status(200).send(job);
+        });
+}
+
+/*
+ * Asks a running job to stop. It stops before its next item, so the items it
+ * finished stay done.
+ */
+function cancelJob(req, res) {
+    return Promise.try(function() {
+        if (!ObjectId.isValid(req.params.id)) {
+            throw createError(422, "Invalid job id");
+        }
+        return MaintenanceJob.findById(req.params.id).select("status").lean().exec();
+    })
+        .then(function(job) {
+            if (!job) {
+                throw createError(404, "Job not found");
+            }
+            return MaintenanceJob.findOneAndUpdate(
+                { _id: job._id, status: "running" },
+                { $set: { cancelRequested: true } },
+                { new: true }
+            ).lean().exec();
+        })
+        .then(function(job) {
+            if (!job) {
+                throw createError(409, "Job isn't running");
+            }
+            if (runningJobs[req.params.id]) {
+                runningJobs[req.params.id].cancelled = true;
+            }
+            res.status(202).send(job);
+        });
+}
+// #endregion
+
+// #region Model introspection
+// The models the generic routes work on, by name: those in reqGenericModel's allow-list
+function getGenericModels() {
+    return _.pick(models, genericModelNames);
+}
+
+function getGenericModel(name) {
+    var model = getGenericModels()[name];
+    if (!model) {
+        throw createError(404, "Model not found: " + name);
+    }
+    return model;
+}
+
+function listModels(req, res) {
+    var modelList = _.map(getGenericModels(), function(model, name) {
+        return {
+            name: name,
+            collection: model.collection.collectionName,
+            pathCount: Object.keys(model.schema.paths).length
+        };
+    });
+    res.status(200).send(_.sortBy(modelList, "name"));
+}
+
+function describeModel(req, res) {
+    return Promise.try(function() {
+        var model = getGenericModel(req.params.name);
+        res.status(200).send({
+            name: req.params.name,
+            collection: model.collection.collectionName,
+            paths: describeSchema(model.schema)
+        });
+    });
+}
+
+/*
+ * Each schema path's type, whether it is an array or subdocument, its ref
+ * target, enum values and whether it is required. Subdocument paths are
+ * described under `paths`.
+ */
+function describeSchema(schema) {
+    var paths = {};
+    schema.eachPath(function(schemaPath, schemaType) {
+        paths[schemaPath] = describeSchemaType(schemaType);
+    });
+    return paths;
+}
+
+function describeSchemaType(schemaType) {
+    var isArray = schemaType.instance === "Array";
+    var caster = isArray ? schemaType.caster : null;
+    var casterOptions = (caster && caster.options) || {};
+
+    var description = {
+        type: isArray ? (schemaType.schema ? "Subdocument" : (caster && caster.instance) || "Mixed") : schemaType.instance,
+        array: isArray,
+        subdocument: Boolean(schemaType.schema),
+        required: Boolean(schemaType.isRequired)
+    };
+
+    var ref = schemaType.options.ref || casterOptions.ref;
+    if (ref) {
+        description.ref = typeof ref === "function" ? ref.modelName || null : ref;
+    }
+    var enumValues = schemaType.enumValues || (caster && caster.enumValues);
+    if (enumValues && enumValues.length > 0) {
+        description.enum = enumValues;
+    }
+    if (schemaType.schema) {
+        description.paths = describeSchema(schemaType.schema);
+    }
+    return description;
+}
+// #endregion
+
+// #region Generic Maintenance Routes
+const QUERY_MAX_TIME_MS = 30000;
+const QUERY_OPERATORS = [
+    "$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin",
+    "$and", "$or", "$nor", "$not",
+    "$exists", "$type", "$regex", "$options", "$elemMatch", "$size", "$all", "$mod",
+    "$text", "$search", "$language", "$caseSensitive", "$diacriticSensitive"
+];
+
+/*
+ * Checks the query in req.body[field] before it reaches mongoose: only the
+ * operators above are allowed, and on write routes an empty query is refused
+ * unless allowAll is sent. Redacted paths of the model in res.locals[modelField]
+ * (default "model") can only be queried when unredacted.
+ */
+function reqSafeQuery(field, write, modelField) {
+    return function(req, res, next) {
+        var model = res.locals[modelField || "model"];
+        var redactedModelName = res.locals.unredacted || !model ? null : model.modelName;
+        checkQuery(req.body[field], field, write && req.body.allowAll !== true, redactedModelName);
+        next();
+    };
+}
+
+/*
+ * With redactedModelName, paths that model redacts are refused too: what
+ * matches would give their values away, even with the paths left out of results
+ */
+function checkQuery(query, name, requireFilter, redactedModelName) {
+    if (query == null) {
+        if (requireFilter) {
+            throw createError(422, "Missing " + name);
+        }
+        return;
+    }
+    if (!_.isPlainObject(query)) {
+        throw createError(422, name + " must be an object");
+    }
+    if (requireFilter && Object.keys(query).length === 0) {
+        throw createError(422, "Empty " + name + " matches every document, send allowAll: true if that is intended");
+    }
+    checkQueryValue(query, name);
+    if (redactedModelName) {
+        checkQueryPaths(query, redactedModelName, "");
+    }
+}
+
+function checkQueryPaths(query, modelName, prefix) {
+    Object.keys(query).forEach(function(key) {
+        var value = query[key];
+        if (["$and", "$or", "$nor"].indexOf(key) > -1) {
+            [].concat(value).forEach(function(condition) {
+                if (_.isPlainObject(condition)) {
+                    checkQueryPaths(condition, modelName, prefix);
+                }
+            });
+        }
+        else if (!key.startsWith("$")) {
+            var queryPath = prefix ? prefix + "." + key : key;
+            if (isRedactedPath(modelName, queryPath)) {
+                throw createError(403, queryPath + " is redacted");
+            }
+            checkConditionPaths(value, modelName, queryPath);
+        }
+    });
+}
+
+// The paths inside $elemMatch (and $not) conditions are relative to the array's
+function checkConditionPaths(condition, modelName, queryPath) {
+    if (!_.isPlainObject(condition)) {
+        return;
+    }
+    if (_.isPlainObject(condition.$elemMatch)) {
+        checkQueryPaths(condition.$elemMatch, modelName, queryPath);
+    }
+    if (condition.$not) {
+        checkConditionPaths(condition.$not, modelName, queryPath);
+    }
+}
+
+function checkQueryValue(value, path) {
+    if (Array.isArray(value)) {
+        value.forEach(function(element, index) {
+            checkQueryValue(element, path + "." + index);
+        });
+    }
+    else if (_.isPlainObject(value)) {
+        Object.keys(value).forEach(function(key) {
+            if (key.startsWith("$") && QUERY_OPERATORS.indexOf(key) === -1) {
+                throw createError(422, "Operator " + key + " isn't allowed, at " + path);
+            }
+            checkQueryValue(value[key], path + "." + key);
+        });
+    }
+}
+
+const GENERIC_DEFAULT_LIMIT = 100;
+const GENERIC_MAX_LIMIT = 1000;
+const SORT_DIRECTIONS = { "1": 1, "-1": -1, asc: 1, desc: -1 };
+
+/*
+ * With limit, after or count, results come back a page at a time as
+ * { results, nextPage, count }. Pass nextPage back as `after`, with the same
+ * query and sort, for the following page. Without them the route returns every
+ * match, as before.
+ *
+ * A format of csv or ndjson streams every match instead (see exportDocuments).
+ */
+function genericGetRoute(req, res) {
+    return Promise.try(function() {
+        var model = res.locals.model;
+        var query = req.body.query;
+        var populate = req.body.populate || [];
+        var select = req.body.select;
+        if (!res.locals.unredacted) {
+            checkPopulate(model, populate);
+        }
+        var format = req.body.format || "json";
+        var paged = req.body.limit != null || req.body.after != null || Boolean(req.body.count);
+
+        var sortKeys = parseSortKeys(req.body.sort, res.locals.unredacted ? null : model.modelName);
+        var limit = paged ? parseLimit(req.body.limit) : null;
+        var pageQuery = req.body.after ? afterPageQuery(query, sortKeys, decodePageToken(req.body.after, sortKeys)) : query;
+
+        var findQuery = model.find(pageQuery)
+            .select(select)
+            .populate(populate)
+            .lean();
+        if (paged || req.body.sort) {
+            findQuery.sort(sortObject(sortKeys));
+            // The sort keys are needed for the next page token
+            if (select && findQuery.selectedInclusively()) {
+                findQuery.select(sortKeys.map(_.head).join(" "));
+            }
+        }
+        if (EXPORT_FORMATS.indexOf(format) > -1 && !req.body.explain) {
+            var exportOptions = parseExportOptions(req.body);
+            if (!select && exportOptions.columns) {
+                findQuery.select(_.compact(exportOptions.columns.concat(exportOptions.explode)).join(" "));
+            }
+            if (limit) {
+                findQuery.limit(limit);
+            }
+            exportOptions.unredacted = res.locals.unredacted;
+            return exportDocuments(res, model.modelName, findQuery.cursor({ batchSize: EXPORT_BATCH_SIZE }), exportOptions);
+        }
+        findQuery.maxTimeMS(QUERY_MAX_TIME_MS);
+        if (limit) {
+            findQuery.limit(limit + 1);
+        }
+        if (req.body.explain) {
+            return explainQuery(model, findQuery)
+                .then(function(explanation) {
+                    res.status(200).send(explanation);
+                });
+        }
+
+        var count = req.body.count ? model.countDocuments(query).maxTimeMS(QUERY_MAX_TIME_MS).exec() : null;
+
+        return Promise.join(findQuery.exec(), count, function(results, count) {
+            results = redactDocuments(res, model.modelName, results);
+            var page = { nextPage: null };
+            if (paged && results.length > limit) {
+                results = results.slice(0, limit);
+                page.nextPage = encodePageToken(_.last(results), sortKeys);
+            }
+
+            if (paged) {
+                page.results = results;
+                if (count != null) {
+                    page.count = count;
+                }
+                res.status(200).send(page);
+            }
+            else {
+                res.status(200).send(results);
+            }
+        });
+    });
+}
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+const EXPORT_BATCH_SIZE = 500;
+const EXPORT_DEFAULT_DELIMITER = ";";
+
+/*
+ * columns: dot-paths to export. Required for CSV, since documents can have
+ *     different fields; NDJSON rows default to each document's own fields
+ * explode: path of an array to export as one row per element
+ * arrayDelimiter: what other arrays are joined with (default ";")
+ */
+function parseExportOptions(body) {
+    var columns = body.columns;
+    if (columns != null && !(Array.isArray(columns) && columns.every(_.isString))) {
+        throw createError(422, "columns must be an array of paths");
+    }
+    if (columns == null && body.format === "csv") {
+        throw createError(422, "columns are required for csv");
+    }
+    if (body.explode != null && !_.isString(body.explode)) {
+        throw createError(422, "explode must be a path");
+    }
+    return {
+        format: body.format,
+        columns: columns,
+        explode: body.explode,
+        delimiter: body.arrayDelimiter != null ? String(body.arrayDelimiter) : EXPORT_DEFAULT_DELIMITER
+    };
+}
+
+/*
+ * Streams documents from a cursor as CSV or NDJSON, with nested fields
+ * flattened to dotted columns. Resolves once the response has ended.
+ */
+function exportDocuments(res, name, cursor, options) {
+    var columns = options.columns;
+    var isCsv = options.format === "csv";
+
+    var toRows = new stream.Transform({
+        objectMode: true,
+        transform: function(document, encoding, callback) {
+            if (!options.unredacted) {
+                document = redactDocument(document, name);
+            }
+            var rows = exportRows(document, options);
+            rows.forEach(function(row) {
+                if (!columns) {
+                    this.push(JSON.stringify(row) + "\n");
+                    return;
+                }
+                var values = columns.map(function(column) {
+                    return row[column] === undefined ? null : row[column];
+                });
+                this.push(isCsv ? values : JSON.stringify(_.zipObject(columns, values)) + "\n");
+            }, this);
+            callback();
+        }
+    });
+
+    var streams = [cursor, toRows];
+    if (isCsv) {
+        toRows.push(columns);
+        streams.push(csv.format());
+    }
+
+    res.status(200);
+    res.attachment(name + "." + options.format);
+    res.type(isCsv ? "text/csv" : "application/x-ndjson");
+
+    return new Promise(function(resolve, reject) {
+        stream.pipeline.apply(stream, streams.concat(res, function(err) {
+            if (err) {
+                logger.error("Error exporting " + name + ": ", err);
+                return reject(err);
+            }
+            resolve();
+        }));
+    });
+}
+
+/*
+ * One flattened row for the document, or one per element of the exploded array
+ */
+function exportRows(document, options) {
+    var elements = options.explode ? dotTraverse(document, options.explode) : null;
+    if (!Array.isArray(elements) || elements.length === 0) {
+        return [flattenDocument(document, "", options.delimiter, {})];
+    }
+
+    var baseRow = flattenDocument(_.omit(document, options.explode), "", options.delimiter, {});
+    return elements.map(function(element) {
+        return flattenDocument(element, options.explode, options.delimiter, Object.assign({}, baseRow));
+    });
+}
+
+/*
+ * Flattens nested objects into row[dotted.path] = value. Arrays are joined with
+ * the delimiter, per path within their elements.
+ */
+function flattenDocument(value, prefix, delimiter, row) {
+    if (value instanceof ObjectId) {
+        row[prefix] = value.toString();
+    }
+    else if (value instanceof Date) {
+        row[prefix] = value.toISOString();
+    }
+    else if (Array.isArray(value)) {
+        if (value.length === 0) {
+            row[prefix] = "";
+        }
+        value.forEach(function(element) {
+            var elementRow = flattenDocument(element, prefix, delimiter, {});
+            Object.keys(elementRow).forEach(function(key) {
+                row[key] = key in row ? row[key] + delimiter + elementRow[key] : elementRow[key];
+            });
+        });
+    }
+    else if (_.isPlainObject(value)) {
+        Object.keys(value).forEach(function(key) {
+            flattenDocument(value[key], prefix ? prefix + "." + key : key, delimiter, row);
+        });
+    }
+    else {
+        row[prefix] = value;
+    }
+    return row;
+}
+
+/*
+ * [[path, direction], ...] from a { path: 1 | -1 | "asc" | "desc" } sort, always
+ * ending with _id so that every document has a distinct position
+ */
+function parseSortKeys(sort, redactedModelName) {
+    var sortKeys = [];
+    Object.keys(sort || {}).forEach(function(key) {
+        var direction = SORT_DIRECTIONS[String(sort[key])];
+        if (!direction || key.startsWith("$")) {
+            throw createError(422, "Bad sort for " + key);
+        }
+        // The order would give the values away
+        if (redactedModelName && isRedactedPath(redactedModelName, key)) {
+            throw createError(403, key + " is redacted");
+        }
+        if (key !== "_id") {
+            sortKeys.push([key, direction]);
+        }
+    });
+    var idDirection = sort && sort._id ? SORT_DIRECTIONS[String(sort._id)] : null;
+    sortKeys.push(["_id", idDirection || (sortKeys.length ? _.last(sortKeys)[1] : 1)]);
+    return sortKeys;
+}
+
+function sortObject(sortKeys) {
+    return _.fromPairs(sortKeys);
+}
+
+function parseLimit(limit) {
+    if (limit == null) {
+        return GENERIC_DEFAULT_LIMIT;
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > GENERIC_MAX_LIMIT) {
+        throw createError(422, "limit must be an integer from 1 to " + GENERIC_MAX_LIMIT);
+    }
+    return limit;
+}
+
+/*
+ * Page tokens hold the sort key values of the last document on the page, as
+ * Extended JSON so they keep their type
+ */
+function encodePageToken(document, sortKeys) {
+    var values = sortKeys.map(function([key]) {
+        var value = dotTraverse(document, key);
+        return value === undefined ? null : value;
+    });
+    return Buffer.from(JSON.stringify(toExtendedJson(values))).toString("base64");
+}
+
+function decodePageToken(token, sortKeys) {
+    var values;
+    try {
+        values = JSON.parse(Buffer.from(String(token), "base64").toString());
+    }
+    catch (err) {
+        throw createError(422, "Bad page token");
+    }
+    if (!Array.isArray(values) || values.length !== sortKeys.length) {
+        throw createError(422, "Page token doesn't match the sort");
+    }
+    return parseExtendedJson(values, "after");
+}
+
+/*
+ * Documents after the given sort key values: greater on the first key, or equal
+ * on it and greater on the next, and so on. Null and missing values sort before
+ * everything else, so they need branches of their own: after a null comes every
+ * value that isn't null, and descending, nulls come after every other value.
+ */
+function afterPageQuery(query, sortKeys, values) {
+    var branches = [];
+    sortKeys.forEach(function([key, direction], index) {
+        var branch = {};
+        for (let previous = 0; previous < index; previous++) {
+            branch[sortKeys[previous][0]] = values[previous];
+        }
+        var value = values[index];
+        if (value === null) {
+            if (direction === 1) {
+                branch[key] = { $ne: null };
+                branches.push(branch);
+            }
+            // Nothing comes after a null, descending
+            return;
+        }
+        if (direction === 1) {
+            branch[key] = { $gt: value };
+        }
+        else {
+            branch.$or = [{ [key]: { $lt: value } }, { [key]: null }];
+        }
+        branches.push(branch);
+    });
+    // Only when the token has no _id
+    if (branches.length === 0) {
+        throw createError(422, "Bad page token");
+    }
+    return { $and: [query || {}, { $or: branches }] };
+}
+
+const reqRefModel = reqGenericModel("refModel");
+
+/*
+ * The chain of references genericRefRoute follows, from `hops`
+ * ([{ refField, refModel, refQuery }, ...], refModel being a model name), or the
+ * single refField, refModel and refQuery
+ */
+function reqRefHops(req, res, next) {
+    var hops = req.body.hops;
+    if (hops == null) {
+        return reqRefModel(req, res, function(err) {
+            if (err) {
+                return next(err);
+            }
+            if (!req.body.refField) {
+                return next(createError(422, "Missing refField"));
+            }
+            if (!req.body.refQuery) {
+                return next(createError(422, "Missing refQuery"));
+            }
+            res.locals.hops = [{ refField: req.body.refField, refModel: res.locals.refModel, refQuery: req.body.refQuery }];
+            next();
+        });
+    }
+
+    if (!Array.isArray(hops) || hops.length === 0) {
+        throw createError(422, "hops must be a non-empty array");
+    }
+    res.locals.hops = hops.map(function(hop, index) {
+        if (!hop || !_.isString(hop.refField) || !_.isString(hop.refModel)) {
+            throw createError(422, "hops." + index + " needs a refField and refModel");
+        }
+        var refModel = getGenericModel(hop.refModel);
+        checkQuery(hop.refQuery, "hops." + index + ".refQuery", false, res.locals.unredacted ? null : refModel.modelName);
+        return { refField: hop.refField, refModel: refModel, refQuery: hop.refQuery };
+    });
+    next();
+}
+
+/*
+ * Follows each hop's refField (which can be nested, or an array of ids) from the
+ * documents matching query to the documents they reference, skipping missing
+ * refs. Returns the documents at the end of the chain, or with `join` the
+ * documents matching query with every reference replaced by its document.
+ */
+function genericRefRoute(req, res) {
+    return Promise.try(function() {
+        var model = res.locals.model;
+        var query = req.body.query;
+        var hops = res.locals.hops;
+
+        if (!query) {
+            throw createError(422, "Missing query");
+        }
+
+        var levels = [];
+        var hopExplanations = [];
+        return model.find(query).maxTimeMS(QUERY_MAX_TIME_MS).lean().exec()
+            .then(function(documents) {
+                levels.push({ model: model, documents: documents });
+                return Promise.each(hops, function(hop) {
+                    var refIds = collectRefIds(_.last(levels).documents, hop.refField);
+                    var createHopQuery = function() {
+                        return hop.refModel.find({ $and: [hop.refQuery || {}, { _id: { $in: refIds } }] })
+                            .maxTimeMS(QUERY_MAX_TIME_MS)
+                            .lean();
+                    };
+                    if (req.body.explain) {
+                        hopExplanations.push(explainQuery(hop.refModel, createHopQuery()));
+                    }
+                    return createHopQuery().exec()
+                        .then(function(documents) {
+                            levels.push({ model: hop.refModel, documents: documents, hop: hop });
+                        });
+                });
+            })
+            .then(function() {
+                if (req.body.explain) {
+                    return Promise.props({
+                        query: explainQuery(model, model.find(query).maxTimeMS(QUERY_MAX_TIME_MS)),
+                        hops: Promise.all(hopExplanations)
+                    })
+                        .then(function(explanation) {
+                            res.status(200).send(explanation);
+                        });
+                }
+
+                levels.forEach(function(level) {
+                    level.documents = redactDocuments(res, level.model.modelName, level.documents);
+                });
+                res.status(200).send(req.body.join ? joinRefLevels(levels) : _.last(levels).documents);
+            });
+    });
+}
+
+// Distinct ids found at the path, through arrays and populated documents
+function collectRefIds(documents, refField) {
+    var refIds = {};
+    collectPathValues(documents, refField.split("."), []).forEach(function(value) {
+        var id = value._id || value;
+        if (ObjectId.isValid(id)) {
+            refIds[id.toString()] = ObjectId(id.toString());
+        }
+    });
+    return _.values(refIds);
+}
+
+function collectPathValues(value, steps, values) {
+    if (value == null) {
+        return values;
+    }
+    if (Array.isArray(value)) {
+        value.forEach(function(element) {
+            collectPathValues(element, steps, values);
+        });
+        return values;
+    }
+    if (steps.length === 0) {
+        values.push(value);
+        return values;
+    }
+    if (_.isPlainObject(value)) {
+        collectPathValues(value[steps[0]], steps.slice(1), values);
+    }
+    return values;
+}
+
+// Joins each level into the one before it, from the end of the chain back
+function joinRefLevels(levels) {
+    for (let index = levels.length - 1; index > 0; index--) {
+        var documentsById = _.keyBy(levels[index].documents, function(document) {
+            return document._id.toString();
+        });
+        var steps = levels[index].hop.refField.split(".");
+        levels[index - 1].documents = levels[index - 1].documents.map(function(document) {
+            return replacePathValues(document, steps, function(value) {
+                return documentsById[(value._id || value).toString()] || value;
+            });
+        });
+    }
+    return levels[0].documents;
+}
+
+function replacePathValues(value, steps, replace) {
+    if (Array.isArray(value)) {
+        return value.map(function(element) {
+            return replacePathValues(element, steps, replace);
+        });
+    }
+    if (steps.length === 0) {
+        return value == null ? value : replace(value);
+    }
+    if (!_.isPlainObject(value) || !(steps[0] in value)) {
+        return value;
+    }
+    var copy = Object.assign({}, value);
+    copy[steps[0]] = replacePathValues(value[steps[0]], steps.slice(1), replace);
+    return copy;
+}
+
+function genericUniqueRoute(req, res) {
+    return Promise.try(function() {
+        var model = res.locals.model;
+        var query = req.body.query;
+        var selection = req.body.selection;
+
+        if (!query) {
+            return res.status(422).send("Missing query");
+        }
+        if (!selection) {
+            return res.status(422).send("Missing selection");
+        }
+        if (!res.locals.unredacted && isRedactedPath(model.modelName, selection)) {
+            throw createError(403, selection + " is redacted");
+        }
+
+        if (req.body.counts || req.body.top != null) {
+            return countUniqueValues(model, query, selection, req.body.top)
+                .then(function(valueCounts) {
+                    res.status(200).send(valueCounts);
+                });
+        }
+
+        return model.distinct(selection, query).maxTimeMS(QUERY_MAX_TIME_MS).exec().then(function(uniqueValues) {
+            return res.status(200).send(uniqueValues.sort());
+        });
+    });
+}
+
+/*
+ * [{ value, count }] for each value at the path, most frequent first, with every
+ * array along the path unwound so each element counts. Missing values count as null.
+ */
+function countUniqueValues(model, query, path, top) {
+    if (top != null && (!Number.isInteger(top) || top < 1)) {
+        throw createError(422, "top must be a positive integer");
+    }
+
+    var steps = path.split(".");
+    var unwindStages = steps.map(function(step, index) {
+        return { $unwind: { path: "$" + steps.slice(0, index + 1).join("."), preserveNullAndEmptyArrays: true } };
+    });
+    var pipeline = [{ $match: model.find(query).cast(model) }]
+        .concat(unwindStages)
+        .concat([
+            { $group: { _id: { $ifNull: ["$" + path, null] }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+        ]);
+    if (top != null) {
+        pipeline.push({ $limit: top });
+    }
+    pipeline.push({ $project: { _id: 0, value: "$_id", count: 1 } });
+
+    return model.aggregate(pipeline)
+        .allowDiskUse(true)
+        .option({ maxTimeMS: QUERY_MAX_TIME_MS })
+        .exec();
+}
+
+function dotTraverse(tree, path) {
+    if (!path) {
+        return tree;
+    }
+    var steps = path.split(".");
+    var end = steps.reduce(function(branch, step) {
+        if (!branch) {
+            return undefined;
+        }
+        return branch[step];
+    }, tree);
+    return end;
+}
+
+function genericDeleteRoute(req, res) {
+    var model = res.locals.model;
+    var saveEnabled = res.locals.saveEnabled;
+    var query = req.body.query;
+    var deleteFields = req.body.deleteFields;
+    var deleteFieldsById = req.body.deleteFieldsById;
+    var deleteAll = req.body.deleteAll;
+    var deleteArray = req.body.deleteArray;
+
+    if (!(deleteFields || deleteFieldsById || deleteAll || deleteArray)) {
+        return res.status(400).send("Nothing to delete!");
+    }
+    if (query == null) {
+        return res.status(500).send("No query");
+    }
+
+    model.findOne(query, function(findError, object) {
+        if (findError) {
+            return res.status(500).send(findError);
+        }
+        else if (object == null) {
+            return res.status(500).send({ gigitError: "no objects found " });
+        }
+        var before = auditBefore(res, object);
+
+        if (deleteFieldsById) {
+            var currentObject = object;
+            var previousObject;
+            deleteFieldsById.forEach(function(currentField) {
+                previousObject = currentObject[currentField.field];
+                currentObject = currentObject[currentField.field];
+                if (currentField.id != null) {
+                    currentObject = currentObject.find(function(arrayObject) {
+                        return arrayObject._id.equals(currentField.id);
+                    });
+                }
+            });
+            var removeIndex = previousObject.indexOf(currentObject);
+            previousObject.splice(removeIndex, 1);
+            object.markModified(deleteFieldsById[0]);
+        }
+        else if (deleteAll) {
+            if (!saveEnabled) {
+                return sendDiff(res, 200, before, null, false);
+            }
+            object.remove(function(saveError) {
+                if (saveError) {
+                    return res.status(500).send(saveError);
+                }
+                auditAfter(res, object, true);
+                return sendDiff(res, 200, before, null, true);
+            });
+            return;
+        }
+        else if (deleteFields) {
+            deleteFields.forEach(function(deleteField) {
+                delete object[deleteField];
+                object.markModified(deleteField);
+            });
+        }
+        else if (deleteArray != null) {
+            object[deleteArray] = [];
+            object.markModified(deleteArray);
+
+        }
+        else {
+            return res.status(400).send("Nothing to delete!");
+        }
+        if (!saveEnabled) {
+            return sendDiff(res, 200, before, object, false);
+        }
+        object.save(function(saveError, savedObject) {
+            if (saveError) {
+                return res.status(500).send(saveError);
+            }
+            auditAfter(res, savedObject);
+            return sendDiff(res, 200, before, savedObject, true);
+        });
+    });
+}
+
+const TRANSLATE_SAMPLE_SIZE = 20;
+
+// Transforms for genericTranslate updates. Array values are transformed per element, except by status.
+const TRANSLATE_TRANSFORMS = {
+    toObjectId: function(value) {
+        if (value instanceof ObjectId) {
+            return value;
+        }
+        if (!ObjectId.isValid(value) || String(value).length !== 24) {
+            throw createError(422, "Not an ObjectId: " + value);
+        }
+        return ObjectId(String(value));
+    },
+    // ISO 8601 strings, or epoch milliseconds as a number or digits
+    toDate: function(value) {
+        if (value instanceof Date) {
+            return value;
+        }
+        var date = _.isNumber(value) || /^\d+$/.test(value) ? moment(Number(value)) : moment(String(value), moment.ISO_8601);
+        if (!date.isValid()) {
+            throw createError(422, "Not a date: " + value);
+        }
+        return date.toDate();
+    },
+    number: function(value) {
+        var number = _.isString(value) ? Number(value.trim()) : Number(value);
+        if (value === "" || typeof value === "boolean" || !Number.isFinite(number)) {
+            throw createError(422, "Not a number: " + value);
+        }
+        return number;
+    },
+    lowercase: function(value) {
+        return String(value).toLowerCase();
+    },
+    trim: function(value) {
+        return String(value).trim();
+    },
+    status: function(value) {
+        return { code: value, date: new Date() };
+    },
+    // Maps each value through the update's `map`, e.g. { "open": "active" }
+    enum: function(value, update) {
+        if (!_.has(update.map, String(value))) {
+            throw createError(422, "No mapping for " + value);
+        }
+        return update.map[String(value)];
+    }
+};
+
+/*
+ * Moves the value of each update's fromField to its toField, in the documents
+ * matching query, as a job. An update's `transform` (a name or array of names
+ * from TRANSLATE_TRANSFORMS) is applied on the way. Documents whose values can't
+ * be transformed are left alone and reported as failed. Moving a redacted path
+ * needs unredacted.
+ *
+ * The job's result counts the documents matched, updated, unchanged and failed,
+ * with the errors of the first JOB_MAX_ITEM_ERRORS failures (failuresTruncated is
+ * set past those). Without a save token nothing is saved, and the result has a sample of the
+ * documents' values before and after.
+ */
+function genericTranslate(req, res) {
+    var model = res.locals.model;
+    var saveEnabled = res.locals.saveEnabled;
+    var query = req.body.query;
+    var updates = req.body.updates;
+    var batchSize = Math.min(parseInt(req.body.batchSize, 10) || CHANGE_BATCH_SIZE, CHANGE_MAX_COUNT);
+
+    return Promise.try(function() {
+        checkTranslateUpdates(model, updates, res.locals.unredacted);
+        var paths = _.uniq(_.flatMap(updates, function(update) {
+            return [update.fromField, update.toField];
+        }));
+
+        return startJob(req, res, "translate", async function(job) {
+            var report = {
+                saved: Boolean(saveEnabled),
+                matched: 0,
+                updated: 0,
+                unchanged: 0,
+                failed: 0,
+                failures: []
+            };
+            if (!saveEnabled) {
+                report.samples = [];
+            }
+
+            job.progress(0, await model.countDocuments(query).maxTimeMS(QUERY_MAX_TIME_MS));
+
+            var lastId = null;
+            for (;;) {
+                job.checkCancelled();
+                var batchQuery = lastId ? { $and: [query || {}, { _id: { $gt: lastId } }] } : query;
+                var objects = await model.find(batchQuery)
+                    .maxTimeMS(QUERY_MAX_TIME_MS)
+                    .sort({ _id: 1 })
+                    .limit(batchSize);
+                if (objects.length === 0) {
+                    break;
+                }
+                lastId = objects[objects.length - 1]._id;
+
+                for (let object of objects) {
+                    report.matched++;
+                    await translateObject(res, report, object, updates, paths)
+                        .catch(function(err) {
+                            report.failed++;
+                            if (report.failures.length < JOB_MAX_ITEM_ERRORS) {
+                                report.failures.push({ _id: object._id, error: err.message });
+                            }
+                            else {
+                                report.failuresTruncated = true;
+                            }
+                            job.itemError(object._id, err);
+                        });
+                }
+                await job.progress(report.matched);
+            }
+
+            return report;
+        });
+    });
+}
+
+function checkTranslateUpdates(model, updates, unredacted) {
+    if (!Array.isArray(updates) || updates.length === 0) {
+        throw createError(422, "updates must be a non-empty array");
+    }
+    updates.forEach(function(update, index) {
+        var updatePath = "updates." + index;
+        if (!update || !_.isString(update.fromField) || !_.isString(update.toField)) {
+            throw createError(422, updatePath + " needs a fromField and toField");
+        }
+        if (model.schema.pathType(update.toField) === "adhocOrUndefined") {
+            throw createError(422, update.toField + " isn't a path of " + model.modelName);
+        }
+        // Its value would show up under toField
+        if (!unredacted && isRedactedPath(model.modelName, update.fromField)) {
+            throw createError(403, update.fromField + " is redacted");
+        }
+        [].concat(update.transform || []).forEach(function(transform) {
+            if (!_.has(TRANSLATE_TRANSFORMS, transform)) {
+                throw createError(422, "Unknown transform " + transform + " at " + updatePath + ", expected one of " + Object.keys(TRANSLATE_TRANSFORMS).join(", "));
+            }
+        });
+        if ([].concat(update.transform).indexOf("enum") > -1 && !_.isPlainObject(update.map)) {
+            throw createError(422, updatePath + " needs a map for the enum transform");
+        }
+    });
+}
+
+function translateObject(res, report, object, updates, paths) {
+    return Promise.try(function() {
+        var before = snapshot(object);
+        translateFields(object, updates);
+        var after = snapshot(object);
+        if (snapshotsMatch(before, after)) {
+            report.unchanged++;
+            return;
+        }
+        if (!res.locals.saveEnabled) {
+            report.updated++;
+            if (report.samples.length < TRANSLATE_SAMPLE_SIZE) {
+                report.samples.push({
+                    _id: object._id,
+                    before: pickTranslatedValues(object, before, paths),
+                    after: pickTranslatedValues(object, after, paths)
+                });
+            }
+            return;
+        }
+        auditBefore(res, object, before);
+        return object.save()
+            .then(function(savedObject) {
+                auditAfter(res, savedObject);
+                report.updated++;
+            });
+    });
+}
+
+// Throws without changing the object when a value can't be transformed
+function translateFields(object, updates) {
+    var values = updates.map(function(update) {
+        var value = object.get(update.fromField);
+        return value == null ? value : [].concat(update.transform || []).reduce(function(currentValue, transform) {
+            var transformValue = TRANSLATE_TRANSFORMS[transform];
+            if (Array.isArray(currentValue) && transform !== "status") {
+                return currentValue.map(function(element) {
+                    return transformValue(element, update);
+                });
+            }
+            return transformValue(currentValue, update);
+        }, value);
+    });
+
+    updates.forEach(function(update, index) {
+        if (values[index] == null) {
+            return;
+        }
+        if (update.fromField !== update.toField) {
+            // fromField is often a path the schema no longer has
+            object.set(update.fromField, undefined, { strict: false });
+        }
+        object.set(update.toField, values[index]);
+    });
+}
+
+// The values at the paths, leaving out redacted ones
+function pickTranslatedValues(object, values, paths) {
+    return paths.reduce(function(picked, valuePath) {
+        if (!isRedactedPath(object.constructor.modelName, valuePath)) {
+            picked[valuePath] = _.get(values, valuePath);
+        }
+        return picked;
+    }, {});
+}
+
+function genericCreateRoute(req, res) {
+    var model = res.locals.model;
+    var updates = req.body.updates;
+
+    model.create(updates, function(createError, createdObject) {
+        if (createError) {
+            return res.status(500).send(createError);
+        }
+        [].concat(createdObject).forEach(function(currentObject) {
+            auditAfter(res, currentObject);
+        });
+        return res.status(200).send(createdObject);
+    });
+}
+
+const IMPORT_FORMATS = ["csv", "ndjson"];
+const IMPORT_MAX_ROWS = 5000;
+
+/*
+ * Bulk creates or updates documents from an uploaded CSV or NDJSON file
+ * (multipart field `file`). Rows are read with `mapping` ({ column: path }; CSV
+ * headers are used as paths without it) and checked with the schema's validators.
+ * With `upsertKey`, rows matching an existing document on that path update it.
+ *
+ * Every row is reported as created, updated, unchanged, skipped (repeated key) or
+ * invalid, with its diff. Nothing is saved without a save token.
+ */
+function genericImportRoute(req, res) {
+    var model = res.locals.model;
+    var saveEnabled = res.locals.saveEnabled;
+    var upsertKey = req.body.upsertKey;
+
+    return Promise.try(function() {
+        if (!req.file) {
+            throw createError(422, "Missing file");
+        }
+        var format = req.body.format || (/\.(nd)?jsonl?$/i.test(req.file.originalname) ? "ndjson" : "csv");
+        if (IMPORT_FORMATS.indexOf(format) === -1) {
+            throw createError(422, "format must be one of " + IMPORT_FORMATS.join(", "));
+        }
+        if (upsertKey != null && !model.schema.path(upsertKey)) {
+            throw createError(422, "upsertKey isn't a path of " + model.modelName);
+        }
+        var mapping = parseImportMapping(req.body.mapping);
+
+        var text = req.file.buffer.toString();
+        return (format === "csv" ? readCsvRecords(text) : readNdjsonRecords(text))
+            .then(function(table) {
+                var records = table.records;
+                if (records.length > IMPORT_MAX_ROWS) {
+                    throw createError(422, "Can't import more than " + IMPORT_MAX_ROWS + " rows at once");
+                }
+                if (mapping == null && format === "csv") {
+                    mapping = _.zipObject(table.headers, table.headers);
+                }
+                if (mapping == null) {
+                    // NDJSON records are set whole, so each of their paths is checked
+                    checkImportPaths(res, model, _.uniq(_.flatMap(records, function(record) {
+                        return importRecordPaths(model, record.values || {}, "");
+                    })));
+                }
+                else {
+                    checkImportPaths(res, model, _.values(mapping));
+                }
+
+                var lineByKey = {};
+                return Promise.mapSeries(records, function(record) {
+                    return importRecord(res, model, record, mapping, upsertKey, lineByKey);
+                });
+            })
+            .then(function(rows) {
+                res.status(200).send({
+                    saved: Boolean(saveEnabled),
+                    counts: _.countBy(rows, "status"),
+                    rows: rows
+                });
+            });
+    });
+}
+
+/*
+ * { headers, records }, records being [{ line, values }] with the values of
+ * empty cells left out. Shared by the import routes.
+ */
+function readCsvRecords(text) {
+    return parseCsvRows(text)
+        .then(function(rows) {
+            var headers = (rows[0] || []).map(function(header) {
+                return header.trim();
+            });
+            var records = rows.slice(1).map(function(row, index) {
+                var values = {};
+                headers.forEach(function(header, column) {
+                    var value = (row[column] || "").trim();
+                    if (header !== "" && value !== "") {
+                        values[header] = value;
+                    }
+                });
+                return { line: index + 2, values: values };
+            });
+            return { headers: _.compact(headers), records: records };
+        });
+}
+
+// { records }, records being [{ line, values }], or { line, errors } for lines that aren't JSON objects
+function readNdjsonRecords(text) {
+    return Promise.try(function() {
+        var records = text.split(/\r?\n/).map(function(line, index) {
+            if (line.trim() === "") {
+                return null;
+            }
+            try {
+                var values = JSON.parse(line);
+                if (!_.isPlainObject(values)) {
+                    throw new Error("Not an object");
+                }
+                return { line: index + 1, values: parseExtendedJson(values, "line " + (index + 1)) };
+            }
+            catch (err) {
+                return { line: index + 1, errors: [err.message] };
+            }
+        })
+            .filter(Boolean);
+        return { records: records };
+    });
+}
+
+function checkImportPaths(res, model, paths) {
+    paths.forEach(function(importPath) {
+        if (model.schema.pathType(importPath) === "adhocOrUndefined") {
+            throw createError(422, importPath + " isn't a path of " + model.modelName);
+        }
+        if (!res.locals.unredacted && isRedactedPath(model.modelName, importPath)) {
+            throw createError(403, importPath + " is redacted");
+        }
+    });
+}
+
+// The paths the values set, down through the schema's nested objects
+function importRecordPaths(model, values, prefix) {
+    return _.flatMap(Object.keys(values), function(key) {
+        var importPath = prefix ? prefix + "." + key : key;
+        if (model.schema.pathType(importPath) === "nested" && _.isPlainObject(values[key])) {
+            return importRecordPaths(model, values[key], importPath);
+        }
+        return [importPath];
+    });
+}
+
+function importRecord(res, model, record, mapping, upsertKey, lineByKey) {
+    var row = { line: record.line };
+    if (record.errors) {
+        return Object.assign(row, { status: "invalid", errors: record.errors });
+    }
+
+    var candidate = new model();
+    setImportValues(candidate, record.values, mapping);
 
-        if (!query) {
-            return res.status(422).send("Missing query");
+    return Promise.try(function() {
+        if (upsertKey == null) {
+            return null;
         }
-        if (!selection) {
-            return res.status(422).send("Missing selection");
+        // Read from the row, since the candidate has defaults such as a new _id
+        var keyColumn = mapping == null ? upsertKey : _.findKey(mapping, function(mappedPath) {
+            return mappedPath === upsertKey;
+        });
+        if (keyColumn == null || _.get(record.values, keyColumn) == null) {
+            throw createError(422, "Missing " + upsertKey);
+        }
+        var keyValue = candidate.get(upsertKey);
+        if (keyValue == null) {
+            throw createError(422, "Bad " + upsertKey);
         }
+        var key = String(keyValue);
+        if (lineByKey[key]) {
+            row.status = "skipped";
+            row.errors = ["Same " + upsertKey + " as line " + lineByKey[key]];
+            return null;
+        }
+        lineByKey[key] = record.line;
+        return model.find({ [upsertKey]: keyValue }).limit(2).maxTimeMS(QUERY_MAX_TIME_MS).exec()
+            .then(function(existing) {
+                if (existing.length > 1) {
+                    throw createError(409, "More than one " + model.modelName + " has this " + upsertKey);
+                }
+                return existing[0] || null;
+            });
+    })
+        .then(function(existing) {
+            if (row.status) {
+                return row;
+            }
+            var document = existing || candidate;
+            var before = null;
+            if (existing) {
+                before = snapshot(existing);
+                setImportValues(existing, record.values, mapping);
+            }
+            row.status = !existing ? "created" : existing.isModified() ? "updated" : "unchanged";
 
-        return model.find(query).select(selection).lean().exec().then(function(objects) {
-            var uniqueValues = findUniqueValues(objects, selection);
-            return res.status(200).send(uniqueValues);
+            return document.validate()
+                .then(function() {
+                    if (!res.locals.saveEnabled || row.status === "unchanged") {
+                        return Object.assign(row, describeChange(res, before, document, false));
+                    }
+                    auditBefore(res, document, before);
+                    return document.save()
+                        .then(function(savedDocument) {
+                            auditAfter(res, savedDocument);
+                            return Object.assign(row, describeChange(res, before, savedDocument, true));
+                        });
+                });
+        })
+        .catch(function(err) {
+            row.status = "invalid";
+            row.errors = err.errors ? _.map(err.errors, function(validationError, errorPath) {
+                return errorPath + ": " + validationError.message;
+            }) : [err.message];
+            return row;
         });
-    });
 }
 
-function dotTraverse(tree, path) {
-    if (!path) {
-        return tree;
+function setImportValues(document, values, mapping) {
+    if (mapping == null) {
+        return document.set(values);
     }
-    var steps = path.split(".");
-    var end = steps.reduce(function(branch, step) {
-        if (!branch) {
-            return undefined;
+    Object.keys(mapping).forEach(function(column) {
+        var value = _.get(values, column);
+        if (value !== undefined) {
+            document.set(mapping[column], value);
         }
-        return branch[step];
-    }, tree);
-    return end;
+    });
 }
 
-function findUniqueValues(objects, path) {
-    var uniqueValues = new Set();
+const CHANGE_BATCH_SIZE = 100;
+const CHANGE_MAX_COUNT = 1000;
 
-    if (!path) {
-        path = "";
+async function genericChangeField(req, res) {
+    var model = res.locals.model;
+    var saveEnabled = res.locals.saveEnabled;
+    var query = req.body.query;
+    var changes = req.body.changes;
+
+    checkChanges(changes);
+    if (req.body.multi) {
+        return changeManyFields(req, res);
     }
 
-    objects.forEach(function(object) {
-        var value = dotTraverse(object, path);
-        uniqueValues.add(value);
-    });
+    var object = await model.findOne(query).maxTimeMS(QUERY_MAX_TIME_MS);
+    if (!object) {
+        throw createError(404, "No object found");
+    }
+    var before = auditBefore(res, object);
+
+    applyChanges(object, changes);
+
+    if (!saveEnabled) {
+        return sendDiff(res, 200, before, object, false);
+    }
 
-    return Array.from(uniqueValues).sort();
+    var savedObject = await object.save();
+    auditAfter(res, savedObject);
+    return sendDiff(res, 201, before, savedObject, true);
 }
 
-function genericDeleteRoute(req, res) {
+/*
+ * Applies the same changes to every document matching the query, in batches
+ * ordered by _id. maxCount is required, and the route refuses queries that
+ * match more documents than that.
+ */
+async function changeManyFields(req, res) {
     var model = res.locals.model;
     var saveEnabled = res.locals.saveEnabled;
     var query = req.body.query;
-    var deleteFields = req.body.deleteFields;
-    var deleteFieldsById = req.body.deleteFieldsById;
-    var deleteAll = req.body.deleteAll;
-    var deleteArray = req.body.deleteArray;
+    var changes = req.body.changes;
+    var maxCount = req.body.maxCount;
+    var batchSize = Math.min(parseInt(req.body.batchSize, 10) || CHANGE_BATCH_SIZE, CHANGE_MAX_COUNT);
 
-    if (!(deleteFields || deleteFieldsById || deleteAll || deleteArray)) {
-        return res.status(400).send("Nothing to delete!");
+    if (!Number.isInteger(maxCount) || maxCount < 1) {
+        throw createError(422, "maxCount must be a positive integer");
     }
-    if (query == null) {
-        return res.status(500).send("No query");
+    if (maxCount > CHANGE_MAX_COUNT) {
+        throw createError(422, "maxCount can't be more than " + CHANGE_MAX_COUNT);
     }
 
-    model.findOne(query, function(findError, object) {
-        if (findError) {
-            return res.status(500).send(findError);
-        }
-        else if (object == null) {
-            return res.status(500).send({ gigitError: "no objects found " });
-        }
+    var matched = await model.countDocuments(query).maxTimeMS(QUERY_MAX_TIME_MS);
+    if (matched > maxCount) {
+        throw createError(422, "Query matches " + matched + " documents, more than maxCount " + maxCount);
+    }
 
-        if (deleteFieldsById) {
-            var currentObject = object;
-            var previousObject;
-            deleteFieldsById.forEach(function(currentField) {
-                previousObject = currentObject[currentField.field];
-                currentObject = currentObject[currentField.field];
-                if (currentField.id != null) {
-                    currentObject = currentObject.find(function(arrayObject) {
-                        return arrayObject._id.equals(currentField.id);
-                    });
-                }
-            });
-            var removeIndex = previousObject.indexOf(currentObject);
-            previousObject.splice(removeIndex, 1);
-            object.markModified(deleteFieldsById[0]);
+    var results = [];
+    var modified = 0;
+    var lastId = null;
+    while (results.length < maxCount) {
+        var batchQuery = lastId ? { $and: [query || {}, { _id: { $gt: lastId } }] } : query;
+        var batch = await model.find(batchQuery)
+            .maxTimeMS(QUERY_MAX_TIME_MS)
+            .sort({ _id: 1 })
+            .limit(Math.min(batchSize, maxCount - results.length));
+        if (batch.length === 0) {
+            break;
         }
-        else if (deleteAll) {
-            if (!saveEnabled) {
-                return res.status(200).send(object);
-            }
-            object.remove(function(saveError, savedObject) {
-                if (saveError) {
-                    return res.status(500).send(saveError);
+        lastId = batch[batch.length - 1]._id;
+
+        for (let index = 0; index < batch.length; index++) {
+            var object = batch[index];
+            var before = snapshot(object);
+            try {
+                applyChanges(object, changes);
+                var result = describeChange(res, before, object, false);
+                if (result.diff.length > 0) {
+                    if (saveEnabled) {
+                        auditBefore(res, object, before);
+                        var savedObject = await object.save();
+                        auditAfter(res, savedObject);
+                        result.saved = true;
+                    }
+                    // Only once it is saved, or would be
+                    modified++;
                 }
-                return res.status(200).send(savedObject);
-            });
-            return;
-        }
-        else if (deleteFields) {
-            deleteFields.forEach(function(deleteField) {
-                delete object[deleteField];
-                object.markModified(deleteField);
-            });
+                results.push(result);
+            }
+            catch (err) {
+                results.push({ _id: object._id, saved: false, error: err.message });
+            }
         }
-        else if (deleteArray != null) {
-            object[deleteArray] = [];
-            object.markModified(deleteArray);
+    }
 
-        }
-        else {
-            return res.status(400).send("Nothing to delete!");
-        }
-        if (!saveEnabled) {
-            return res.status(200).send(object);
-        }
-        object.save(function(saveError, savedObject) {
-            if (saveError) {
-                return res.status(500).send(saveError);
-            }
-            return res.status(200).send(savedObject);
-        });
+    return res.status(saveEnabled ? 201 : 200).send({
+        saved: Boolean(saveEnabled),
+        matched: matched,
+        modified: modified,
+        results: results
     });
 }
 
-function genericTranslate(req, res) {
-    var model = res.locals.model;
-    var query = req.body.query;
-    var updates = req.body.updates;
-
-    model.find(query, function(findError, objects) {
-        if (findError == null) {
-            return res.status(500).send(findError);
+// $set
+// $push
+// $id
+// $status
+function checkChanges(changes) {
+    if (!changes || typeof changes !== "object") {
+        throw createError(400, "Missing changes");
+    }
+    Object.entries(changes).forEach(function([path, change]) {
+        if (!change || typeof change !== "object" || Object.keys(change).length !== 1) {
+            throw createError(400, "Bad change value for " + path);
         }
-        objects.forEach(function(object) {
-            updates.forEach(function(update) {
-                var finalValue;
-                var currentValue = object;
-                var updateTokens = update.fromField.split(".");
-                object.markModified(updateTokens[0]);
-                for (let index = 0; index < updateTokens.length - 1; index++) {
-                    if (currentValue != null) {
-                        currentValue = currentValue[updateTokens[index]];
-                    }
-                }
-                if (currentValue != null) {
-                    finalValue = currentValue[updateTokens[updateTokens.length - 1]];
-                    delete currentValue[updateTokens[updateTokens.length - 1]];
-                }
-                var currentField = object;
-                var updateFields = update.toField.split(".");
-                object.markModified(updateFields[0]);
-                for (let index = 0; index < updateFields.length - 1; index++) {
-                    if (currentField != null) {
-                        currentField = currentField[updateFields[index]];
-                    }
-                }
-                if ((currentField != null) && (finalValue != null)) {
-                    currentField[updateFields[updateFields.length - 1]] = finalValue;
-                }
-            });
-            object.save();
-        });
-    });
-}
-
-function genericCreateRoute(req, res) {
-    var model = res.locals.model;
-    var updates = req.body.updates;
-
-    model.create(updates, function(createError, createdObject) {
-        if (createError) {
-            return res.status(500).send(createError);
+        var changeType = Object.keys(change)[0];
+        if (["$set", "$setid", "$setstatus", "$push"].indexOf(changeType) === -1) {
+            throw createError(400, "Unrecognized changeType " + changeType);
         }
-        return res.status(200).send(createdObject);
     });
 }
 
-async function genericChangeField(req, res) {
-    var model = res.locals.model;
-    var saveEnabled = res.locals.saveEnabled;
-    var query = req.body.query;
-    var changes = req.body.changes;
-
-    var object = await model.findOne(query);
-
-    // $set
-    // $push
-    // $id
-    // $status
+function applyChanges(object, changes) {
     Object.entries(changes).forEach(function([path, change]) {
-        if (typeof change !== "object" || Object.keys(change).length !== 1) {
-            throw createError(400, "Bad change value for " + path);
-        }
         var [changeType, value] = Object.entries(change)[0];
 
         if (changeType === "$set") {
             _.set(object, path, value);
         }
         else if (changeType === "$setid") {
-            _.set(object, path, ObjectId(value));
+            _.set(object, path, toObjectIdValue(value, "changes." + path));
         }
         else if (changeType === "$setstatus") {
             _.set(object, path, { code: value, date: new Date() });
@@ -536,60 +3055,147 @@ async function genericChangeField(req, res) {
 
             var arr = _.get(object, path, value);
             if (!Array.isArray(arr)) {
-                throw createError(path + " is not an array");
+                throw createError(422, path + " is not an array");
             }
             arr.push(value);
         }
-        else {
-            throw createError(400, "Unrecognized changeType " + changeType);
-        }
 
         var fieldName = _.toPath(path)[0];
         object.markModified(fieldName);
     });
-
-    if (!saveEnabled) {
-        return res.status(200).send(object);
-    }
-
-    var savedObject = await object.save();
-    return res.status(201).send(savedObject);
 }
 
+const TRANSFER_PREVIEW_LIMIT = 5000;
+
+/*
+ * Copies fromField of each fromModel document matching fromQuery to toField of
+ * the toModel documents with the same linkField, as a job, a batch of source
+ * documents at a time. The job's result counts the linked documents matched,
+ * updated, unchanged and failed, with the errors of the first JOB_MAX_ITEM_ERRORS
+ * failures (failuresTruncated is set past those). Without a save token
+ * nothing is saved, and the result lists the assignments that would be made.
+ * Copying from or linking on a redacted path needs unredacted.
+ */
 function genericTransfer(req, res) {
     var toModel = res.locals.toModel;
     var fromModel = res.locals.fromModel;
+    var saveEnabled = res.locals.saveEnabled;
     var fromQuery = req.body.fromQuery;
     var linkField = req.body.linkField;
     var toField = req.body.toField;
     var fromField = req.body.fromField;
+    var batchSize = Math.min(parseInt(req.body.batchSize, 10) || CHANGE_BATCH_SIZE, CHANGE_MAX_COUNT);
 
-    var sent = false;
-    fromModel.find(fromQuery, function(error, fromObjects) {
-        if (error) {
-            return res.status(500).send(error);
+    return Promise.try(function() {
+        ["linkField", "toField", "fromField"].forEach(function(field) {
+            if (!_.isString(req.body[field])) {
+                throw createError(422, "Missing " + field);
+            }
+        });
+        // Their values would show up where they are copied to, or in what links
+        if (!res.locals.unredacted) {
+            [[fromModel, fromField], [fromModel, linkField], [toModel, linkField]].forEach(function([pathModel, path]) {
+                if (isRedactedPath(pathModel.modelName, path)) {
+                    throw createError(403, path + " is redacted");
+                }
+            });
         }
-        fromObjects.forEach(function(currentObject) {
-            var linkQuery = {};
-            linkQuery[linkField] = currentObject[linkField];
-            toModel.find(linkQuery, function(linkError, links) {
-                if (linkError) {
-                    logger.error("Link error: ", linkError);
+        return startJob(req, res, "transfer", async function(job) {
+            var report = {
+                saved: Boolean(saveEnabled),
+                sources: 0,
+                matched: 0,
+                updated: 0,
+                unchanged: 0,
+                failed: 0,
+                failures: []
+            };
+            if (!saveEnabled) {
+                report.assignments = [];
+            }
+
+            job.progress(0, await fromModel.countDocuments(fromQuery).maxTimeMS(QUERY_MAX_TIME_MS));
+
+            var lastId = null;
+            for (;;) {
+                job.checkCancelled();
+                var batchQuery = lastId ? { $and: [fromQuery || {}, { _id: { $gt: lastId } }] } : fromQuery;
+                var fromObjects = await fromModel.find(batchQuery)
+                    .maxTimeMS(QUERY_MAX_TIME_MS)
+                    .sort({ _id: 1 })
+                    .limit(batchSize);
+                if (fromObjects.length === 0) {
+                    break;
                 }
-                links.forEach(function(currentLink) {
-                    currentLink[toField] = currentObject[fromField];
-                    currentLink.save(function() {
-                        if (sent) {
-                            return;
-                        }
-                        sent = true;
-                        logger.debug("object: ", currentObject);
-                        logger.debug("link: ", currentLink);
-                    });
+                lastId = fromObjects[fromObjects.length - 1]._id;
+
+                var linkValues = fromObjects.map(function(fromObject) {
+                    return fromObject.get(linkField);
                 });
-            });
+                var links = await toModel.find({ [linkField]: { $in: _.compact(linkValues) } }).maxTimeMS(QUERY_MAX_TIME_MS);
+                var linksByValue = _.groupBy(links, function(link) {
+                    return String(link.get(linkField));
+                });
+
+                for (let index = 0; index < fromObjects.length; index++) {
+                    var fromObject = fromObjects[index];
+                    var linkValue = linkValues[index];
+                    var value = fromObject.get(fromField);
+                    for (let link of linkValue == null ? [] : linksByValue[String(linkValue)] || []) {
+                        report.matched++;
+                        await transferValue(res, report, link, toField, value, fromObject._id)
+                            .catch(function(err) {
+                                report.failed++;
+                                if (report.failures.length < JOB_MAX_ITEM_ERRORS) {
+                                    report.failures.push({ _id: link._id, error: err.message });
+                                }
+                                else {
+                                    report.failuresTruncated = true;
+                                }
+                                job.itemError(link._id, err);
+                            });
+                    }
+                }
+                report.sources += fromObjects.length;
+                await job.progress(report.sources);
+            }
+
+            return report;
         });
-        return res.status(200).send("Tried!");
+    });
+}
+
+function transferValue(res, report, link, toField, value, fromId) {
+    return Promise.try(function() {
+        var before = snapshot(link);
+        var oldValue = link.get(toField);
+        link.set(toField, value);
+        if (snapshotsMatch(oldValue, link.get(toField))) {
+            report.unchanged++;
+            return;
+        }
+        if (!res.locals.saveEnabled) {
+            report.updated++;
+            if (report.assignments.length < TRANSFER_PREVIEW_LIMIT) {
+                var assignment = { _id: link._id, from_id: fromId };
+                // Values of redacted paths aren't shown
+                if (!isRedactedPath(link.constructor.modelName, toField)) {
+                    assignment.oldValue = oldValue;
+                    assignment.newValue = link.get(toField);
+                }
+                report.assignments.push(assignment);
+            }
+            else {
+                report.assignmentsTruncated = true;
+            }
+            return;
+        }
+        auditBefore(res, link, before);
+        return link.save()
+            .then(function(savedLink) {
+                auditAfter(res, savedLink);
+                report.updated++;
+            });
     });
 }
 
@@ -608,6 +3214,7 @@ function genericInject(req, res) {
         else if (parentObject == null) {
             return res.status(404).send({ gigitError: "Not found!" });
         }
+        var before = auditBefore(res, parentObject);
 
         var subFields = injectToField.split(".");
         var subIds = injectToFieldId.split(".");
@@ -643,11 +3250,12 @@ function genericInject(req, res) {
                 if (saveError) {
                     return res.status(500).send(saveError);
                 }
-                res.status(200).send(newObject);
+                auditAfter(res, newObject);
+                sendDiff(res, 200, before, newObject, true);
             });
         }
         else {
-            res.status(200).send(parentObject);
+            sendDiff(res, 200, before, parentObject, false);
         }
     });
 }
@@ -657,7 +3265,10 @@ function addUniqueValuesToList(req, res) {
     var saveEnabled = res.locals.saveEnabled;
     var query = req.body.query;
     var field = req.body.field;
-    var idValues = req.body.idValues;
+    // Converted before the callback below, so a bad id is a 422
+    var idValues = [].concat(req.body.idValues || []).map(function(idValue) {
+        return toObjectIdValue(idValue, "idValues");
+    });
 
     model.findOne(query, function(objectError, object) {
         if (objectError) {
@@ -667,6 +3278,7 @@ function addUniqueValuesToList(req, res) {
             return res.status(404).send({ gigitError: "No objects found" });
         }
 
+        var before = auditBefore(res, object);
         var fields = field.split(".");
         var index = 0;
         var baseField = fields[index];
@@ -681,20 +3293,21 @@ function addUniqueValuesToList(req, res) {
                 return currentElement.equals(currentId);
             });
             if (existingValue == null) {
-                array.push(ObjectId(currentId));
+                array.push(currentId);
             }
         });
 
         if (!saveEnabled) {
-            return res.status(200).send(object);
+            return sendDiff(res, 200, before, object, false);
         }
         object.markModified(baseField);
         object.save(function(saveObjectError, savedObject) {
             if (saveObjectError) {
                 return res.status(500).send(saveObjectError);
             }
+            auditAfter(res, savedObject);
 
-            return res.status(200).send(savedObject);
+            return sendDiff(res, 200, before, savedObject, true);
         });
     });
 }
@@ -707,6 +3320,16 @@ function pushArrayValue(req, res) {
     var value = req.body.value;
     var idValues = req.body.idValues;
 
+    // Before the callback below, so a bad id is a 422
+    if (idValues === "object") {
+        value = toObjectIdValue(value, "value");
+    }
+    else if (idValues != null) {
+        idValues.forEach(function(idField) {
+            value[idField] = toObjectIdValue(value[idField], "value." + idField);
+        });
+    }
+
     model.findOne(query, function(objectError, object) {
         if (objectError) {
             return res.status(500).send(objectError);
@@ -714,28 +3337,22 @@ function pushArrayValue(req, res) {
         else if (object == null) {
             return res.status(404).send({ gigitError: "No objects found" });
         }
+        var before = auditBefore(res, object);
         var array = object[field];
-        if (idValues === "object") {
-            value = ObjectId(value);
-        }
-        else if (idValues != null) {
-            idValues.forEach(function(idField) {
-                value[idField] = ObjectId(value[idField]);
-            });
-        }
 
         object.markModified(field);
         array.push(value);
 
         if (!saveEnabled) {
-            return res.status(200).send(object);
+            return sendDiff(res, 200, before, object, false);
         }
 
         object.save(function(saveError, newObject) {
             if (saveError) {
                 return res.status(500).send(saveError);
             }
-            res.status(200).send(newObject);
+            auditAfter(res, newObject);
+            sendDiff(res, 200, before, newObject, true);
         });
     });
 }
@@ -748,6 +3365,10 @@ function modifyArrayValue(req, res) {
     if ((fieldQuery == null) || (fieldQuery.length == null) || (fieldQuery.length === 0)) {
         return res.status(500).send("Bad fieldQuery");
     }
+    // Before the callback below, so a bad id is a 422
+    var newValues = fieldQuery.map(function(currentField) {
+        return currentField.objectId && currentField.newValue != null && currentField.newValue !== "newID" ? toObjectIdValue(currentField.newValue, "fieldQuery.newValue") : currentField.newValue;
+    });
 
     model.findOne(query, function(objectError, object) {
         if (objectError) {
@@ -756,9 +3377,14 @@ function modifyArrayValue(req, res) {
         else if (object == null) {
             return res.status(404).send({ gigitError: "No objects found" });
         }
+        var before = auditBefore(res, object);
         var currentObject = object;
+        var missing = null;
         object.markModified(fieldQuery[0].field);
-        fieldQuery.forEach(function(currentField) {
+        fieldQuery.forEach(function(currentField, fieldIndex) {
+            if (missing) {
+                return;
+            }
             if (currentField.newValue == null) {
                 currentObject = currentObject[currentField.field];
             }
@@ -770,12 +3396,11 @@ function modifyArrayValue(req, res) {
                     return currentArrayValue[currentField.testArrayField] == currentField.testArrayValue;
                 });
                 if (modifyObject == null) {
-                    return res.status(404).send({ currentObject: currentObject, currentField: currentField });
-                }
-                var value = currentField.newValue;
-                if (currentField.objectId) {
-                    value = ObjectId(value);
+                    missing = { currentObject: currentObject, currentField: currentField };
+                    return;
                 }
+                var value = newValues[fieldIndex];
+                // Extended JSON can't ask for a new id, so "newID" stays
                 if (currentField.newValue === "newID") {
                     modifyObject[currentField.field] = ObjectId();
                 }
@@ -785,29 +3410,234 @@ function modifyArrayValue(req, res) {
             }
         });
 
+        if (missing) {
+            return res.status(404).send(missing);
+        }
+
         object.save(function(saveError, newObject) {
             if (saveError) {
                 return res.status(500).send(saveError);
             }
-            res.status(200).send(newObject);
+            auditAfter(res, newObject);
+            sendDiff(res, 200, before, newObject, true);
+        });
+    });
+}
+
+const EXPLAIN_LARGE_COLLECTION = 100000;
+const EXPLAIN_SLOW_QUERY_MS = 1000;
+
+/*
+ * Summary of how MongoDB runs a query: the winning plan, the indexes it uses,
+ * documents examined against returned and execution time, with warnings for
+ * collection scans on large collections and slow queries
+ */
+function explainQuery(model, query) {
+    return Promise.join(query.explain("executionStats").exec(), model.estimatedDocumentCount(),
+        function(explanation, collectionCount) {
+            return summarizeExplain(Array.isArray(explanation) ? explanation[0] : explanation, model, collectionCount);
+        });
+}
+
+function explainAggregate(model, pipeline) {
+    return Promise.join(model.aggregate(pipeline).allowDiskUse(true).explain(), model.estimatedDocumentCount(),
+        function(explanation, collectionCount) {
+            return summarizeExplain(explanation, model, collectionCount);
         });
+}
+
+function summarizeExplain(explanation, model, collectionCount) {
+    // Aggregations that aren't pushed down entirely explain the query in their first stage
+    var cursorStage = explanation.stages ? explanation.stages[0].$cursor || {} : explanation;
+    var queryPlanner = cursorStage.queryPlanner || {};
+    var executionStats = cursorStage.executionStats || explanation.executionStats || {};
+    var planStages = collectPlanStages(queryPlanner.winningPlan, []);
+
+    var summary = {
+        winningPlan: queryPlanner.winningPlan,
+        indexesUsed: _.uniq(_.compact(_.map(planStages, "indexName"))),
+        collectionScan: planStages.some(function(planStage) {
+            return planStage.stage === "COLLSCAN";
+        }),
+        collectionCount: collectionCount,
+        nReturned: executionStats.nReturned,
+        totalDocsExamined: executionStats.totalDocsExamined,
+        totalKeysExamined: executionStats.totalKeysExamined,
+        executionTimeMillis: executionStats.executionTimeMillis,
+        warnings: []
+    };
+    if (summary.collectionScan && collectionCount >= EXPLAIN_LARGE_COLLECTION) {
+        summary.warnings.push("Collection scan on " + model.modelName + ", which has about " + collectionCount + " documents");
+    }
+    if (summary.executionTimeMillis >= EXPLAIN_SLOW_QUERY_MS) {
+        summary.warnings.push("Query took " + summary.executionTimeMillis + "ms");
+    }
+    return summary;
+}
+
+function collectPlanStages(plan, planStages) {
+    if (!plan) {
+        return planStages;
+    }
+    planStages.push(plan);
+    collectPlanStages(plan.queryPlan, planStages);
+    collectPlanStages(plan.inputStage, planStages);
+    (plan.inputStages || []).forEach(function(inputStage) {
+        collectPlanStages(inputStage, planStages);
+    });
+    return planStages;
+}
+
+const AGGREGATE_DEFAULT_LIMIT = 1000;
+const AGGREGATE_MAX_LIMIT = 10000;
+const AGGREGATE_STAGES = [
+    "$match", "$project", "$addFields", "$set", "$unset", "$group", "$sort", "$limit", "$skip",
+    "$unwind", "$lookup", "$graphLookup", "$count", "$facet", "$bucket", "$bucketAuto",
+    "$sortByCount", "$replaceRoot", "$replaceWith", "$sample"
+];
+// Stages that join other collections, whose documents aren't redacted
+const AGGREGATE_JOIN_STAGES = ["$lookup", "$graphLookup"];
+// Operators that run JavaScript on the server
+const AGGREGATE_BLOCKED_OPERATORS = ["$where", "$function", "$accumulator"];
+
+/*
+ * Runs a read-only aggregation pipeline on the model. Results are capped at
+ * limit (default 1000), and can be exported as csv or ndjson like the generic
+ * query route. $lookup and $graphLookup need unredacted, and so do references to
+ * the model's redacted paths, which the pipeline could otherwise rename.
+ */
+function aggregateRoute(req, res) {
+    return Promise.try(function() {
+        var model = res.locals.model;
+        var pipeline = req.body.pipeline;
+        var format = req.body.format || "json";
+        var limit = req.body.limit != null ? req.body.limit : AGGREGATE_DEFAULT_LIMIT;
+
+        checkPipeline(pipeline, "pipeline", model.modelName, res.locals.unredacted);
+        if (!Number.isInteger(limit) || limit < 1 || limit > AGGREGATE_MAX_LIMIT) {
+            throw createError(422, "limit must be an integer from 1 to " + AGGREGATE_MAX_LIMIT);
+        }
+
+        if (EXPORT_FORMATS.indexOf(format) > -1 && !req.body.explain) {
+            var exportOptions = parseExportOptions(req.body);
+            exportOptions.unredacted = res.locals.unredacted;
+            var cursor = model.aggregate(pipeline.concat({ $limit: limit }))
+                .allowDiskUse(true)
+                .cursor({ batchSize: EXPORT_BATCH_SIZE })
+                .exec();
+            return exportDocuments(res, model.modelName, cursor, exportOptions);
+        }
+
+        if (req.body.explain) {
+            return explainAggregate(model, pipeline.concat({ $limit: limit }))
+                .then(function(explanation) {
+                    res.status(200).send(explanation);
+                });
+        }
+
+        return model.aggregate(pipeline.concat({ $limit: limit + 1 }))
+            .allowDiskUse(true)
+            .option({ maxTimeMS: QUERY_MAX_TIME_MS })
+            .exec()
+            .then(function(results) {
+                res.status(200).send({
+                    results: redactDocuments(res, model.modelName, results.slice(0, limit)),
+                    truncated: results.length > limit
+                });
+            });
     });
 }
 
-function testAggregate(req, res) {
-    var model = res.locals.model;
-    var query = req.body.query;
-    var params = req.body.params;
-
-    model.find(query).exec(params, function(queryError, results) {
-        if (queryError) {
-            return res.status(500).send(queryError);
+function checkPipeline(pipeline, path, modelName, unredacted) {
+    if (!Array.isArray(pipeline) || pipeline.length === 0) {
+        throw createError(422, path + " must be a non-empty array of stages");
+    }
+    pipeline.forEach(function(stage, index) {
+        var stagePath = path + "." + index;
+        var stageNames = _.isPlainObject(stage) ? Object.keys(stage) : [];
+        if (stageNames.length !== 1) {
+            throw createError(422, "Each stage must have exactly one operator, at " + stagePath);
+        }
+        var stageName = stageNames[0];
+        if (AGGREGATE_STAGES.indexOf(stageName) === -1) {
+            throw createError(422, "Stage " + stageName + " isn't allowed, at " + stagePath);
+        }
+        if (!unredacted && AGGREGATE_JOIN_STAGES.indexOf(stageName) > -1) {
+            throw createError(403, "Stage " + stageName + " needs unredacted, at " + stagePath);
         }
 
-        return res.status(200).send(results);
+        var body = stage[stageName];
+        if (stageName === "$match") {
+            checkQuery(body, stagePath + ".$match", false, unredacted ? null : modelName);
+        }
+        else if (stageName === "$sort" && !unredacted) {
+            // The order would give the values away
+            Object.keys(body || {}).forEach(function(key) {
+                if (isRedactedPath(modelName, key)) {
+                    throw createError(403, key + " is redacted, at " + stagePath + ".$sort");
+                }
+            });
+        }
+        else if (stageName === "$facet") {
+            Object.keys(body || {}).forEach(function(facet) {
+                checkPipeline(body[facet], stagePath + ".$facet." + facet, modelName, unredacted);
+            });
+        }
+        else if (stageName === "$lookup" && body && body.pipeline) {
+            checkPipeline(body.pipeline, stagePath + ".$lookup.pipeline", modelName, unredacted);
+        }
+        checkBlockedOperators(body, stagePath + "." + stageName);
+        if (!unredacted) {
+            checkFieldReferences(modelName, body, stagePath + "." + stageName);
+        }
     });
 }
 
+function checkFieldReferences(modelName, value, path) {
+    if (_.isString(value)) {
+        var reference = fieldReference(value);
+        var redacted = reference === "" ? Boolean(REDACTION_POLICY[modelName]) : reference != null && isRedactedPath(modelName, reference);
+        if (redacted) {
+            throw createError(403, value + " refers to a redacted path, at " + path);
+        }
+    }
+    else if (Array.isArray(value)) {
+        value.forEach(function(element, index) {
+            checkFieldReferences(modelName, element, path + "." + index);
+        });
+    }
+    else if (_.isPlainObject(value)) {
+        Object.keys(value).forEach(function(key) {
+            checkFieldReferences(modelName, value[key], path + "." + key);
+        });
+    }
+}
+
+// The path a "$path" string refers to, "" for the whole document ("$$ROOT"), or null
+function fieldReference(value) {
+    var variable = /^\$\$(ROOT|CURRENT)(?:\.(.+))?$/.exec(value);
+    if (variable) {
+        return variable[2] || "";
+    }
+    return /^\$[^$]/.test(value) ? value.slice(1) : null;
+}
+
+function checkBlockedOperators(value, path) {
+    if (Array.isArray(value)) {
+        value.forEach(function(element, index) {
+            checkBlockedOperators(element, path + "." + index);
+        });
+    }
+    else if (_.isPlainObject(value)) {
+        Object.keys(value).forEach(function(key) {
+            if (AGGREGATE_BLOCKED_OPERATORS.indexOf(key) > -1) {
+                throw createError(422, "Operator " + key + " isn't allowed, at " + path);
+            }
+            checkBlockedOperators(value[key], path + "." + key);
+        });
+    }
+}
+
 function addArrayDuplicates(req, res) {
     var model = res.locals.model;
     var saveEnabled = res.locals.saveEnabled;
@@ -819,6 +3649,7 @@ function addArrayDuplicates(req, res) {
             return res.status(500).send(error);
         }
         if (Array.isArray(object[arrayField])) {
+            var before = auditBefore(res, object);
             var duplicates = [];
             object[arrayField].forEach(function(currentArrayElement) {
                 duplicates.push(Object.assign({}, currentArrayElement));
@@ -829,13 +3660,14 @@ function addArrayDuplicates(req, res) {
 
             object.markModified(arrayField);
             if (!saveEnabled) {
-                return res.status(200).send(object);
+                return sendDiff(res, 200, before, object, false);
             }
             object.save(function(error, savedObject) {
                 if (error) {
                     return res.status(500).send(error);
                 }
-                return res.status(200).send(savedObject);
+                auditAfter(res, savedObject);
+                return sendDiff(res, 200, before, savedObject, true);
             });
         }
         else {
@@ -856,6 +3688,7 @@ function removeArrayDuplicates(req, res) {
             return res.status(500).send(error);
         }
         if (Array.isArray(object[arrayField])) {
+            var before = auditBefore(res, object);
             var objectKeys = {};
             object[arrayField] = object[arrayField].filter(function(currentObject) {
                 var fieldKey = currentObject.toString();
@@ -873,13 +3706,14 @@ function removeArrayDuplicates(req, res) {
             });
             object.markModified(arrayField);
             if (!saveEnabled) {
-                return res.status(200).send(object);
+                return sendDiff(res, 200, before, object, false);
             }
             object.save(function(error, savedObject) {
                 if (error) {
                     return res.status(500).send(error);
                 }
-                return res.status(200).send(savedObject);
+                auditAfter(res, savedObject);
+                return sendDiff(res, 200, before, savedObject, true);
             });
         }
         else {
@@ -933,32 +3767,49 @@ function fireEmail(req, res) {
                 return res.status(500).send({ gigitError: "SystemEvent not found" });
             }
 
+            var before = auditBefore(res, oneEvent);
             oneEvent.status = { code: "fired", date: new Date() };
             oneEvent.save(function(systemError, savedEvent) {
                 if (systemError) {
                     return res.status(500).send(systemError);
                 }
+                auditAfter(res, savedEvent);
 
-                return res.status(200).send(savedEvent);
+                return sendDiff(res, 200, before, savedEvent, true);
             });
         });
     }
     else {
         // What is this supposed to do?
-        for (var index = 0; index < 1000; index++) {
-            SystemEvent.findOne({ eventType: index, createdAt: { $gt: 1540958400000 }, "status.code": "handled" }, function(error, oneEvent) {
-                if (error) {
-                    return res.status(500).send(error);
-                }
-                if (!oneEvent) {
-                    return;
-                }
-
-                oneEvent.status = { code: "fired", date: new Date() };
-                oneEvent.save();
-            });
-        }
-        return res.status(200).send({ gigitMessage: "Sent" });
+        return startJob(req, res, "fireEmail", function(job) {
+            var fired = 0;
+            job.progress(0, 1000);
+            return Promise.each(_.range(1000), function(index) {
+                job.checkCancelled();
+                return SystemEvent.findOne({ eventType: index, createdAt: { $gt: 1540958400000 }, "status.code": "handled" }).exec()
+                    .then(function(oneEvent) {
+                        if (!oneEvent) {
+                            return;
+                        }
+                        auditBefore(res, oneEvent);
+                        oneEvent.status = { code: "fired", date: new Date() };
+                        return oneEvent.save()
+                            .then(function(savedEvent) {
+                                auditAfter(res, savedEvent);
+                                fired++;
+                            });
+                    })
+                    .catch(function(error) {
+                        job.itemError("eventType " + index, error);
+                    })
+                    .then(function() {
+                        return job.progress(index + 1);
+                    });
+            })
+                .then(function() {
+                    return { fired: fired };
+                });
+        });
     }
 }
 
@@ -976,122 +3827,222 @@ function changeEmailStatus(req, res) {
             return res.status(500).send(findError);
         }
 
-        notifications.forEach(function(notification) {
+        Promise.map(notifications, function(notification) {
+            var before = snapshot(notification);
             notification.email.status = { code: newStatus, date: new Date() };
             notification.markModified("email");
-        });
+            if (!saveEnabled) {
+                return describeChange(res, before, notification, false);
+            }
 
-        if (saveEnabled) {
-            notifications.forEach(function(notification) {
-                notification.save();
+            auditBefore(res, notification, before);
+            return notification.save()
+                .then(function(savedNotification) {
+                    auditAfter(res, savedNotification);
+                    return describeChange(res, before, savedNotification, true);
+                }, function(saveError) {
+                    return Object.assign(describeChange(res, before, notification, false), { error: saveError.message });
+                });
+        })
+            .then(function(changes) {
+                res.status(200).send(changes);
             });
-        }
-        res.status(200).send(notifications);
     });
 }
 
 // #region importStudents
+const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const IMPORT_USER_FIELDS = ["email", "firstName", "lastName", "school", "specialTicketId"];
+const IMPORT_EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_FILE_SIZE } });
+
+/*
+ * Imports the students in an uploaded CSV (multipart field `file`) as attendees of
+ * event_id, each with a free ticket payment. `mapping` maps user fields
+ * (IMPORT_USER_FIELDS, email required) to CSV column headers.
+ *
+ * Every row is reported as created, existing, skipped (blank or repeated email)
+ * or invalid. Nothing is saved without a save token.
+ *
+ * Sandboxes can set config.maintenance.sandbox.importEmail, e.g.
+ * "qa+{local}@example.com", to send every imported email to one inbox.
+ */
 function importStudents(req, res) {
     var saveEnabled = res.locals.saveEnabled;
-    var ticketId = req.body.freeStudentTicket;
-    var organization = req.body.studentOrganization;
-    var storeId = req.body.store_id;
-    var groupId = req.body.group_id;
     var eventId = req.body.event_id;
-
-    var processedData = {
-        members: [],
-        noEmails: []
+    var options = {
+        ticketId: req.body.freeStudentTicket,
+        organization: req.body.studentOrganization,
+        storeId: req.body.store_id,
+        groupId: req.body.group_id,
+        eventId: eventId
     };
-    var stream = fs.createReadStream(path.join(__dirname, "./students.csv"));
-    var firstData;
-
-    var csvStream = csv()
-        .on("data", function(data) {
-            if (firstData == null) {
-                firstData = data.map(function(column) {
-                    return column.trim();
-                });
-                return;
-            }
 
-            var testObject = {
-                ticketId: ticketId,
-                user_id: new ObjectId(),
-                org_ids: [organization]
-            };
-            for (var index = 0; index < firstData.length; index++) {
-                if (firstData[index].indexOf("first name") > -1) {
-                    testObject.firstName = data[index].trim();
-                }
-                else if (firstData[index].indexOf("last name") > -1) {
-                    testObject.lastName = data[index].trim();
-                }
-                else if (firstData[index].indexOf("School") > -1) {
-                    testObject.school = data[index].trim();
-                }
-                else if (firstData[index].indexOf("email") > -1) {
-                    var parsedEmail = data[index].trim();
-                    var emailPrefix = parsedEmail.split("@")[0];
-                    testObject.email = "paetkauchristian+7" + emailPrefix + "@gmail.com";
-                }
-            }
-            if (testObject.email.trim() === "") {
-                processedData.noEmails.push({ name: testObject.firstName + " " + testObject.lastName });
-            }
-            else {
-                var duplicate = processedData.members.find(function(currentMember) {
-                    return currentMember.email === testObject.email;
-                });
-                if (duplicate != null) {
-                    duplicate.ticketId = testObject.ticketId;
-                }
-                else {
-                    processedData.members.push(testObject);
+    return Promise.try(function() {
+        if (!req.file) {
+            throw createError(422, "Missing file");
+        }
+        var mapping = parseStudentMapping(req.body.mapping);
+
+        return Promise.join(
+            readCsvRecords(req.file.buffer.toString()),
+            Request.findById(eventId).exec(),
+            function(table, event) {
+                if (!event) {
+                    throw createError(404, "Event not found: " + eventId);
                 }
-            }
-        }).on("end", function() {
-            Request.findById(eventId, function(findEventError, event) {
-                if (findEventError) {
-                    return res.status(500).send(findEventError);
+                var members = readImportedMembers(table, mapping, options);
+                if (saveEnabled) {
+                    return startJob(req, res, "importStudents", function(job) {
+                        return createImportedUsers(res, members, options)
+                            .then(function() {
+                                return saveImportedUsers(res, event, members, options, job);
+                            })
+                            .then(function() {
+                                return importReport(members, true);
+                            });
+                    });
                 }
-                processedData.event = event;
-                createImportedUsers(res, storeId, groupId, eventId, saveEnabled, processedData);
+                return createImportedUsers(res, members, options)
+                    .then(function() {
+                        res.status(200).send(importReport(members, false));
+                    });
             });
-        });
-    stream.pipe(csvStream);
+    });
+}
+
+function importReport(members, saved) {
+    return {
+        saved: saved,
+        counts: _.countBy(members, "status"),
+        rows: members.map(function(member) {
+            return _.pick(member, ["line", "status", "email", "user_id", "errors"]);
+        })
+    };
+}
+
+/*
+ * The mapping of the import routes, sent as an object or as a JSON form field,
+ * with string values. Shared by the import routes.
+ */
+function parseImportMapping(mapping) {
+    if (mapping == null) {
+        return null;
+    }
+    if (typeof mapping === "string") {
+        try {
+            mapping = JSON.parse(mapping);
+        }
+        catch (err) {
+            throw createError(422, "mapping must be JSON");
+        }
+    }
+    if (!_.isPlainObject(mapping) || !_.every(mapping, _.isString)) {
+        throw createError(422, "mapping must be an object of strings");
+    }
+    return mapping;
 }
 
-function createImportedUsers(res, storeId, groupId, eventId, saveEnabled, processedData) {
-    processedData.creationErrors = [];
-    processedData.createdUsers = [];
-    processedData.existingUsers = [];
-    processedData.payments = [];
+// { field: column } for the user fields of importStudents
+function parseStudentMapping(mapping) {
+    mapping = parseImportMapping(mapping);
+    if (!mapping || !mapping.email) {
+        throw createError(422, "mapping must map email to a column");
+    }
+    Object.keys(mapping).forEach(function(field) {
+        if (IMPORT_USER_FIELDS.indexOf(field) === -1) {
+            throw createError(422, "Can't import " + field + ", only " + IMPORT_USER_FIELDS.join(", "));
+        }
+    });
+    return mapping;
+}
 
-    var totalCount = processedData.members.length;
+function parseCsvRows(text) {
+    return new Promise(function(resolve, reject) {
+        var rows = [];
+        csv.fromString(text, { ignoreEmpty: true })
+            .on("data", function(row) {
+                rows.push(row);
+            })
+            .on("error", function(err) {
+                reject(createError(422, "Bad CSV: " + err.message));
+            })
+            .on("end", function() {
+                resolve(rows);
+            });
+    });
+}
 
-    processedData.members.forEach(function(currentUser) {
-        User.createMinimalUserHandler(currentUser, function(creationError, user, created) {
-            totalCount--;
-            if (creationError) {
-                processedData.creationErrors.push({ inputData: currentUser, error: creationError });
-                if (totalCount === 0) {
-                    processCreatedUsers(res, eventId, saveEnabled, processedData);
-                }
-                return;
-            }
-            var payment = createPhonyPayment(storeId, groupId, eventId, currentUser, user);
-            processedData.payments.push(payment);
-            if (created) {
-                processedData.createdUsers.push(user);
-            }
-            else {
-                processedData.existingUsers.push(user);
-            }
-            if (totalCount === 0) {
-                processCreatedUsers(res, eventId, saveEnabled, processedData);
+// One member per data row, with its status set if it can't be imported
+function readImportedMembers(table, mapping, options) {
+    var missingHeaders = _.values(mapping).filter(function(header) {
+        return table.headers.indexOf(header) === -1;
+    });
+    if (missingHeaders.length > 0) {
+        throw createError(422, "Missing columns: " + missingHeaders.join(", "));
+    }
+
+    var lineByEmail = {};
+    return table.records.map(function(record) {
+        var member = {
+            line: record.line,
+            ticketId: options.ticketId,
+            user_id: new ObjectId(),
+            org_ids: [options.organization]
+        };
+        Object.keys(mapping).forEach(function(field) {
+            if (record.values[mapping[field]] !== undefined) {
+                member[field] = record.values[mapping[field]];
             }
         });
+
+        if (!member.email) {
+            member.status = "skipped";
+            member.errors = ["No email"];
+        }
+        else if (!IMPORT_EMAIL_PATTERN.test(member.email)) {
+            member.status = "invalid";
+            member.errors = ["Bad email: " + member.email];
+        }
+        else {
+            member.email = rewriteImportEmail(member.email.toLowerCase());
+            if (lineByEmail[member.email]) {
+                member.status = "skipped";
+                member.errors = ["Same email as line " + lineByEmail[member.email]];
+            }
+            lineByEmail[member.email] = lineByEmail[member.email] || member.line;
+        }
+        return member;
+    });
+}
+
+function rewriteImportEmail(email) {
+    var template = _.get(config, "maintenance.sandbox.importEmail");
+    if (!template) {
+        return email;
+    }
+    return template.replace("{local}", email.split("@")[0]);
+}
+
+function createImportedUsers(res, members, options) {
+    return Promise.mapSeries(members, function(member) {
+        if (member.status) {
+            return;
+        }
+        return Promise.fromCallback(function(callback) {
+            User.createMinimalUserHandler(member, callback);
+        }, { multiArgs: true })
+            .then(function([user, created]) {
+                member.user = user;
+                member.user_id = user._id;
+                member.status = created ? "created" : "existing";
+                member.payment = createPhonyPayment(options.storeId, options.groupId, options.eventId, member, user);
+            })
+            .catch(function(creationError) {
+                member.status = "invalid";
+                member.errors = [creationError.message || String(creationError)];
+            });
     });
 }
 
@@ -1132,48 +4083,72 @@ function createPhonyPayment(storeId, groupId, eventId, currentUser, user) {
     });
 }
 
-function processCreatedUsers(res, eventId, saveEnabled, processedData) {
-    if (!saveEnabled) {
-        return res.status(200).send(processedData);
-    }
-
-    var courseEvent = processedData.event;
-
-    processedData.payments.forEach(function(currentPayment) {
-        currentPayment.save(function(saveError) {
-            if (saveError) {
-                logger.error("Error saving payment: ", saveError);
-                logger.error("Error saving payment: ", currentPayment);
-            }
-        });
-    });
-
-    processedData.createdUsers.forEach(function(newUser) {
-        courseEvent.attendees.push({ user: newUser._id, invited: false, status: "definite" });
-        newUser.save(function(saveError) {
-            if (saveError) {
-                logger.error("Error saving course: ", saveError);
-                logger.error("Error saving course: ", newUser);
-            }
-            var courseString = "";
-            var reasonObject = {
-                reason: "should not show up in template",
-                redirectUrl: "/event/" + eventId,
-                courseString: courseString,
-                emailTemplate: "template03"
-            };
-            User.sendVerifyEmailNotification(newUser, null, reasonObject);
+/*
+ * Saves the payments and new users, adds the new users to the event and sends
+ * them verification emails. Rows that fail to save are reported as invalid. When
+ * the job is cancelled, the remaining rows are skipped but the event is still
+ * saved with the users added so far.
+ */
+function saveImportedUsers(res, event, members, options, job) {
+    auditBefore(res, event);
+    return Promise.mapSeries(members, function(member, index) {
+        if (member.status !== "created" && member.status !== "existing") {
+            return;
+        }
+        if (job.cancelled) {
+            member.status = "skipped";
+            member.errors = ["Cancelled"];
+            return;
+        }
+        var saveUser = member.status === "created" ? member.user.save() : Promise.resolve(member.user);
+        return saveUser
+            .then(function(user) {
+                if (member.status === "created") {
+                    auditAfter(res, user);
+                    event.attendees.push({ user: user._id, invited: false, status: "definite" });
+                    var reasonObject = {
+                        reason: "should not show up in template",
+                        redirectUrl: "/event/" + options.eventId,
+                        courseString: "",
+                        emailTemplate: "template03"
+                    };
+                    User.sendVerifyEmailNotification(user, null, reasonObject);
+                }
+                return member.payment.save();
+            })
+            .then(function(payment) {
+                auditAfter(res, payment);
+            })
+            .catch(function(saveError) {
+                logger.error("Error saving imported user: ", saveError);
+                member.status = "invalid";
+                member.errors = [saveError.message];
+            })
+            .then(function() {
+                return job.progress(index + 1, members.length);
+            });
+    })
+        .then(function() {
+            return event.save();
+        })
+        .then(function(savedEvent) {
+            auditAfter(res, savedEvent);
+            job.checkCancelled();
         });
-    });
-    courseEvent.save();
-    return res.status(200).send(processedData);
 }
 // #endregion
 
 // #region updateRatingFor
 function updateRatingFor(req, res) {
-    var userId = req.body.user_id;
+    return recalculateRatings(req.body.user_id)
+        .then(function() {
+            auditSaved(res);
+            res.status(204).send();
+        });
+}
 
+// Recomputes the ratings from every done Order the user owns or completed, returning how many there were
+function recalculateRatings(userId) {
     var query = {
         "status.code": "done",
         $or: [
@@ -1181,38 +4156,42 @@ function updateRatingFor(req, res) {
             { "completions.owner_id": userId }
         ]
     };
-    Order.find(query)
-        .populate("owner")
-        .populate("proposals.owner")
-        .exec(function(findOrderError, orders) {
-            if (findOrderError) {
-                return res.status(500).send(findOrderError);
-            }
-            orders.forEach(function(currentOrder) {
+    return Promise.join(
+        User.findById(userId).exec(),
+        Order.find(query)
+            .populate("owner")
+            .populate("proposals.owner")
+            .exec(),
+        function(user, orders) {
+            if (!user) {
+                throw createError(404, "User not found: " + userId);
+            }
+            return Promise.mapSeries(orders, function(currentOrder) {
                 var caluclateRatingForOrder = createCalculateRatingForOrder(currentOrder);
-                User.findById(userId, caluclateRatingForOrder);
-            });
-            return res.status(204).send();
+                return caluclateRatingForOrder(null, user);
+            })
+                .then(function() {
+                    return orders.length;
+                });
         });
 }
 
+// Resolves once the order's rating updates are done
 function createCalculateRatingForOrder(currentOrder) {
     return function(error, user) {
         currentOrder.owner = user;
         var findByOwner = createFindByOwnerFunction(user._id);
         if (currentOrder.owner_id.equals(user._id)) {
-            currentOrder.completions.forEach(function(currentCompletion) {
+            return Promise.mapSeries(currentOrder.completions, function(currentCompletion) {
                 var proposal = currentOrder.proposals.find(findByOwner);
                 if (proposal != null) {
-                    RatingHistory.updateRating(currentOrder, currentCompletion, proposal, false);
+                    return RatingHistory.updateRating(currentOrder, currentCompletion, proposal, false);
                 }
             });
         }
-        else {
-            var completion = currentOrder.completions.find(findByOwner);
-            var proposal = currentOrder.proposals.find(findByOwner);
-            RatingHistory.updateRating(currentOrder, completion, proposal, true);
-        }
+        var completion = currentOrder.completions.find(findByOwner);
+        var proposal = currentOrder.proposals.find(findByOwner);
+        return Promise.resolve(RatingHistory.updateRating(currentOrder, completion, proposal, true));
     };
 }
 
@@ -1226,6 +4205,256 @@ function createFindByOwnerFunction(userId) {
 }
 // #endregion
 
+// #region Duplicate users
+/*
+ * Where other documents reference a User. With `unique`, the array at the first
+ * step keeps only one element per user once references are moved.
+ */
+const USER_REFERENCES = [
+    { model: Order, path: "owner_id" },
+    { model: Order, path: "proposals.owner_id" },
+    { model: Order, path: "completions.owner_id" },
+    { model: Payment, path: "payer_id" },
+    { model: Request, path: "attendees.user", unique: true },
+    { model: Request, path: "proposals.owner_id" },
+    { model: Notification, path: "user_id" },
+    { model: StripeAccount, path: "user_id" }
+];
+
+// Lowercased and trimmed, without any +tag in the local part
+const NORMALIZED_EMAIL = {
+    $let: {
+        vars: { parts: { $split: [{ $toLower: { $trim: { input: { $ifNull: ["$email", ""] } } } }, "@"] } },
+        in: {
+            $concat: [
+                { $arrayElemAt: [{ $split: [{ $arrayElemAt: ["$$parts", 0] }, "+"] }, 0] },
+                "@",
+                { $ifNull: [{ $arrayElemAt: ["$$parts", 1] }, ""] }
+            ]
+        }
+    }
+};
+
+const NORMALIZED_NAME = {
+    $concat: [
+        { $toLower: { $trim: { input: { $ifNull: ["$firstName", ""] } } } },
+        " ",
+        { $toLower: { $trim: { input: { $ifNull: ["$lastName", ""] } } } }
+    ]
+};
+
+/*
+ * Groups of users sharing a normalized email, or a name, largest first:
+ * { byEmail: [{ key, count, users }], byName: [...] }
+ */
+function findDuplicateUsers(req, res) {
+    return Promise.try(function() {
+        var limit = req.query.limit != null ? parseLimit(Number(req.query.limit)) : GENERIC_DEFAULT_LIMIT;
+
+        return Promise.props({
+            byEmail: groupDuplicateUsers(NORMALIZED_EMAIL, "@", limit),
+            byName: groupDuplicateUsers(NORMALIZED_NAME, " ", limit)
+        })
+            .then(function(duplicates) {
+                res.status(200).send(duplicates);
+            });
+    });
+}
+
+function groupDuplicateUsers(key, emptyKey, limit) {
+    return User.aggregate([
+        { $project: { key: key, email: 1, firstName: 1, lastName: 1 } },
+        { $match: { key: { $ne: emptyKey } } },
+        {
+            $group: {
+                _id: "$key",
+                count: { $sum: 1 },
+                users: { $push: { _id: "$_id", email: "$email", firstName: "$firstName", lastName: "$lastName" } }
+            }
+        },
+        { $match: { count: { $gt: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, key: "$_id", count: 1, users: 1 } }
+    ])
+        .allowDiskUse(true)
+        .option({ maxTimeMS: QUERY_MAX_TIME_MS })
+        .exec();
+}
+
+/*
+ * Moves every reference to duplicateId (see USER_REFERENCES) over to keepId,
+ * removes the duplicate User and recomputes the kept user's ratings. Without a
+ * save token nothing is saved and the changes are only reported. The whole merge
+ * is one audit entry, so it can be undone.
+ *
+ * A document that fails to save is reported with its error, and the merge goes
+ * on with the rest. The duplicate User is then kept, since it is still referenced.
+ */
+function mergeUsers(req, res) {
+    var saveEnabled = res.locals.saveEnabled;
+    var keepId = req.body.keepId;
+    var duplicateId = req.body.duplicateId;
+
+    return Promise.try(function() {
+        if (!ObjectId.isValid(keepId) || !ObjectId.isValid(duplicateId)) {
+            throw createError(422, "keepId and duplicateId must be ObjectIds");
+        }
+        keepId = ObjectId(keepId.toString());
+        duplicateId = ObjectId(duplicateId.toString());
+        if (keepId.equals(duplicateId)) {
+            throw createError(422, "keepId and duplicateId are the same user");
+        }
+
+        return Promise.join(
+            User.findById(keepId).exec(),
+            User.findById(duplicateId).exec(),
+            StripeAccount.countDocuments({ user_id: { $in: [keepId, duplicateId] } }).exec(),
+            function(keepUser, duplicateUser, stripeAccounts) {
+                if (!keepUser) {
+                    throw createError(404, "User not found: " + keepId);
+                }
+                if (!duplicateUser) {
+                    throw createError(404, "User not found: " + duplicateId);
+                }
+                if (stripeAccounts > 1) {
+                    throw createError(409, "Both users have a StripeAccount");
+                }
+                return duplicateUser;
+            });
+    })
+        .then(function(duplicateUser) {
+            return findUserReferences(duplicateId)
+                .then(function(documents) {
+                    return Promise.mapSeries(documents, function(document) {
+                        var before = snapshot(document);
+                        USER_REFERENCES.forEach(function(reference) {
+                            if (reference.model.modelName === document.constructor.modelName) {
+                                moveUserReference(document, reference, duplicateId, keepId);
+                            }
+                        });
+                        if (!saveEnabled) {
+                            return describeChange(res, before, document, false);
+                        }
+                        auditBefore(res, document, before);
+                        return document.save()
+                            .then(function(savedDocument) {
+                                auditAfter(res, savedDocument);
+                                return describeChange(res, before, savedDocument, true);
+                            }, function(err) {
+                                return Object.assign(describeChange(res, before, document, false), { error: err.message });
+                            });
+                    });
+                })
+                .then(function(changes) {
+                    var merge = { changes: changes, failed: _.filter(changes, "error").length, ratedOrders: 0 };
+                    var before = snapshot(duplicateUser);
+                    if (!saveEnabled) {
+                        changes.push(describeChange(res, before, null, false, "User"));
+                        return merge;
+                    }
+                    return Promise.try(function() {
+                        if (merge.failed > 0) {
+                            return;
+                        }
+                        auditBefore(res, duplicateUser, before);
+                        return duplicateUser.remove()
+                            .then(function() {
+                                auditAfter(res, duplicateUser, true);
+                                changes.push(describeChange(res, before, null, true, "User"));
+                            });
+                    })
+                        .then(function() {
+                            // References that did move still change the kept user's ratings
+                            return recalculateRatings(keepId);
+                        })
+                        .then(function(ratedOrders) {
+                            merge.ratedOrders = ratedOrders;
+                            return merge;
+                        });
+                });
+        })
+        .then(function(merge) {
+            res.status(200).send({
+                saved: Boolean(saveEnabled),
+                keepId: keepId,
+                duplicateId: duplicateId,
+                changes: merge.changes,
+                failed: merge.failed,
+                ratedOrders: merge.ratedOrders
+            });
+        });
+}
+
+// Every document with a USER_REFERENCES path pointing at the user
+function findUserReferences(userId) {
+    var referencesByModel = _.groupBy(USER_REFERENCES, function(reference) {
+        return reference.model.modelName;
+    });
+    return Promise.mapSeries(Object.keys(referencesByModel), function(modelName) {
+        var references = referencesByModel[modelName];
+        return references[0].model.find({
+            $or: references.map(function(reference) {
+                return { [reference.path]: userId };
+            })
+        })
+            .maxTimeMS(QUERY_MAX_TIME_MS)
+            .exec();
+    })
+        .then(_.flatten);
+}
+
+function moveUserReference(document, reference, fromId, toId) {
+    var steps = reference.path.split(".");
+    replaceReferences(document, steps, fromId, toId);
+    if (reference.unique) {
+        var seen = false;
+        var elements = document.get(steps[0]);
+        elements.filter(function(element) {
+            var id = element.get(steps.slice(1).join("."));
+            var isUser = id != null && toId.equals(id._id || id);
+            var duplicate = isUser && seen;
+            seen = seen || isUser;
+            return duplicate;
+        })
+            .forEach(function(element) {
+                elements.pull(element);
+            });
+    }
+}
+
+function replaceReferences(value, steps, fromId, toId) {
+    if (value == null) {
+        return;
+    }
+    if (Array.isArray(value)) {
+        value.forEach(function(element) {
+            replaceReferences(element, steps, fromId, toId);
+        });
+        return;
+    }
+    var current = _.isFunction(value.get) ? value.get(steps[0]) : value[steps[0]];
+    if (steps.length > 1) {
+        return replaceReferences(current, steps.slice(1), fromId, toId);
+    }
+    if (Array.isArray(current)) {
+        current.forEach(function(id, index) {
+            if (id != null && fromId.equals(id._id || id)) {
+                current.set(index, toId);
+            }
+        });
+    }
+    else if (current != null && fromId.equals(current._id || current)) {
+        if (_.isFunction(value.set)) {
+            value.set(steps[0], toId);
+        }
+        else {
+            value[steps[0]] = toId;
+        }
+    }
+}
+// #endregion
+
 function resetPassword(req, res) {
     var email = req.body.email;
     var password = req.body.password;
@@ -1243,11 +4472,13 @@ function resetPassword(req, res) {
             return res.status(404).send("User not found!");
         }
 
+        auditBefore(res, user);
         user.password = password;
         user.save(function(saveError) {
             if (saveError) {
                 return res.status(500).send(saveError);
             }
+            auditAfter(res, user);
 
             return res.status(200).send("Password changed!");
         });
@@ -1274,7 +4505,7 @@ function addTicketHolders(req, res) {
             return res.status(404).send({ gigitError: "No event found!" });
         }
 
-        var beforeAttendees = event.attendees.slice(0);
+        var before = snapshot(event);
 
         var storeQuery = { owner_id: event._id };
         Store.findOne(storeQuery, function(findStoreError, store) {
@@ -1326,15 +4557,19 @@ function addTicketHolders(req, res) {
                     });
                 });
 
-                res.status(200).send({
-                    before: beforeAttendees,
-                    after: event.attendees
-                });
-
-                if (saveEnabled) {
-                    event.markModified("attendees");
-                    event.save();
+                if (!saveEnabled) {
+                    return sendDiff(res, 200, before, event, false);
                 }
+
+                auditBefore(res, event, before);
+                event.markModified("attendees");
+                event.save(function(saveError, savedEvent) {
+                    if (saveError) {
+                        return res.status(500).send(saveError);
+                    }
+                    auditAfter(res, savedEvent);
+                    return sendDiff(res, 200, before, savedEvent, true);
+                });
             });
         });
     });
@@ -1405,6 +4640,8 @@ function resetAuction(req, res) {
             });
 
             if (itemAuction != null) {
+                var auctionBefore = auditBefore(res, auction);
+                var itemAuctionBefore = auditBefore(res, itemAuction);
                 var closedAuction = auction.closedAuctions.find(function(currentClosed) {
                     return currentClosed.item_auction_id.equals(itemAuctionId);
                 });
@@ -1425,21 +4662,23 @@ function resetAuction(req, res) {
 
             if (!saveEnabled) {
                 return res.status(200).send({
-                    auction: auction,
-                    itemAuction: itemAuction
+                    auction: describeChange(res, auctionBefore, auction, false),
+                    itemAuction: describeChange(res, itemAuctionBefore, itemAuction, false)
                 });
             }
             auction.save(function(saveAuctionError, savedAuction) {
                 if (saveAuctionError != null) {
                     return res.status(500).send(saveAuctionError);
                 }
+                auditAfter(res, savedAuction);
                 itemAuction.save(function(saveItemAuctionError, savedItemAuction) {
                     if (saveItemAuctionError) {
                         return res.status(500).send(saveItemAuctionError);
                     }
+                    auditAfter(res, savedItemAuction);
                     return res.status(200).send({
-                        auction: savedAuction,
-                        itemAuction: savedItemAuction
+                        auction: describeChange(res, auctionBefore, savedAuction, true),
+                        itemAuction: describeChange(res, itemAuctionBefore, savedItemAuction, true)
                     });
                 });
             });
@@ -1451,8 +4690,8 @@ function modifyBid(req, res) {
     var query = req.body.query;
     var modifiedBid = req.body.modifiedBid;
     var newValue = req.body.newValue;
-    var newUser = req.body.newUser;
-    var newBidId = req.body.newBidId;
+    var newUser = toObjectIdValue(req.body.newUser, "newUser");
+    var newBidId = toObjectIdValue(req.body.newBidId, "newBidId");
 
     Auction.findOne(query, function(error, auction) {
         if (error) {
@@ -1461,18 +4700,20 @@ function modifyBid(req, res) {
         var auctionToChange = auction.closedAuctions.find(function(currentAuction) {
             return currentAuction.item_auction_id.equals(modifiedBid);
         });
+        var before = auditBefore(res, auction);
         auctionToChange.winningBid.value = newValue;
-        auctionToChange.winningBid.user_id = ObjectId(newUser);
-        auctionToChange.winningBid._id = ObjectId(newBidId);
+        auctionToChange.winningBid.user_id = newUser;
+        auctionToChange.winningBid._id = newBidId;
 
         if (!saveEnabled) {
-            return res.status(500).send(auction);
+            return sendDiff(res, 200, before, auction, false);
         }
         auction.save(function(error, savedAuction) {
             if (error) {
-                return res.status(500).send(savedAuction);
+                return res.status(500).send(error);
             }
-            return res.status(200).send(savedAuction);
+            auditAfter(res, savedAuction);
+            return sendDiff(res, 200, before, savedAuction, true);
         });
     });
 }
@@ -1490,6 +4731,7 @@ function removeBid(req, res) {
             return currentBid._id.equals(modifiedBid);
         });
 
+        var before = auditBefore(res, auction);
         var removeIndex = auction.bidHistory.indexOf(auctionToChange);
         if (removeIndex > -1) {
             auction.bidHistory.splice(removeIndex, 1);
@@ -1497,13 +4739,14 @@ function removeBid(req, res) {
         }
 
         if (!saveEnabled) {
-            return res.status(500).send(auction);
+            return sendDiff(res, 200, before, auction, false);
         }
         auction.save(function(error, savedAuction) {
             if (error) {
-                return res.status(500).send(savedAuction);
+                return res.status(500).send(error);
             }
-            return res.status(200).send(savedAuction);
+            auditAfter(res, savedAuction);
+            return sendDiff(res, 200, before, savedAuction, true);
         });
     });
 }
@@ -1543,6 +4786,7 @@ function demonetize(req, res) {
                 if (!user) {
                     throw createError(404, "User not found: " + userId);
                 }
+                auditBefore(res, user);
                 return user;
             });
 
@@ -1556,6 +4800,7 @@ function demonetize(req, res) {
                 if (!stripeAccount) {
                     throw createError(404, "StripeAccount not found: " + userId);
                 }
+                auditBefore(res, stripeAccount);
                 return stripeAccount;
             });
 
@@ -1568,6 +4813,7 @@ function demonetize(req, res) {
                         throw createError("Error saving User: " + err.message);
                     })
                     .then(function() {
+                        auditAfter(res, user);
                         return stripeAccount.remove()
                             .catch(function(err) {
                                 logger.error("Error removing StripeAccount: ", err);
@@ -1575,6 +4821,7 @@ function demonetize(req, res) {
                             });
                     })
                     .then(function() {
+                        auditAfter(res, stripeAccount, true);
                         res.status(204).send();
                     });
             });
@@ -1587,42 +4834,63 @@ function errorTest(req, res) {
     });
 }
 
-router.get("/maintenance/statistics", getStatistics);
-router.get("/maintenance/status", getStatus);
+router.use("/maintenance", trackRouteMetrics);
+router.use("/maintenance", extendedJson);
+router.use("/maintenance", redactResponses);
 
-router.post("/maintenance/generic", [reqGigitAdmin, reqGenericModel()], genericGetRoute);
-router.post("/maintenance/generic/ref", [reqGigitAdmin, reqGenericModel(), reqGenericModel("refModel")], genericRefRoute);
-router.put("/maintenance/generic", [reqGigitAdmin, reqGenericModel(), reqSaveToken], genericCreateRoute);
-router.delete("/maintenance/generic", [reqGigitAdmin, reqGenericModel(), optSaveToken], genericDeleteRoute);
-router.post("/maintenance/generic/unique", [reqGigitAdmin, reqGenericModel()], genericUniqueRoute);
-router.post("/maintenance/addArrayDuplicates", [reqGigitAdmin, reqGenericModel(), optSaveToken], addArrayDuplicates);
-router.post("/maintenance/removeArrayDuplicates", [reqGigitAdmin, reqGenericModel(), optSaveToken], removeArrayDuplicates);
-router.post("/maintenance/addValues", [reqGigitAdmin, reqGenericModel(), optSaveToken], addUniqueValuesToList);
+router.get("/maintenance/statistics", [optGigitAdminForGroup], getStatistics);
+router.get("/maintenance/statistics/history", getStatisticsHistory);
+router.get("/maintenance/status", getStatus);
+router.get("/maintenance/status/live", getLiveness);
+router.get("/maintenance/status/ready", getReadiness);
+router.get("/maintenance/metrics", getMetrics);
+router.get("/maintenance/audit", [reqGigitAdmin, optUnredacted], getAudit);
+router.get("/maintenance/jobs", [reqGigitAdmin], listJobs);
+router.get("/maintenance/jobs/:id", [reqGigitAdmin], getJob);
+router.post("/maintenance/jobs/:id/cancel", [reqGigitAdmin], cancelJob);
+router.post("/maintenance/undo/:changeId", [reqGigitAdmin, optSaveToken, reqAudit], undoChange);
+
+router.get("/maintenance/models", [reqGigitAdmin], listModels);
+router.get("/maintenance/models/:name", [reqGigitAdmin], describeModel);
+
+router.post("/maintenance/generic", [reqGigitAdmin, optUnredacted, reqGenericModel(), reqSafeQuery("query")], genericGetRoute);
+router.post("/maintenance/generic/ref", [reqGigitAdmin, optUnredacted, reqGenericModel(), reqRefHops, reqSafeQuery("query"), reqSafeQuery("refQuery", false, "refModel")], genericRefRoute);
+router.put("/maintenance/generic", [reqGigitAdmin, reqGenericModel(), reqSaveToken, reqAudit], genericCreateRoute);
+router.post("/maintenance/import", [reqGigitAdmin, importUpload.single("file"), reqGenericModel(), optSaveToken, reqAudit], genericImportRoute);
+router.delete("/maintenance/generic", [reqGigitAdmin, reqGenericModel(), optSaveToken, reqAudit], genericDeleteRoute);
+router.post("/maintenance/generic/unique", [reqGigitAdmin, optUnredacted, reqGenericModel(), reqSafeQuery("query")], genericUniqueRoute);
+router.post("/maintenance/addArrayDuplicates", [reqGigitAdmin, reqGenericModel(), optSaveToken, reqAudit], addArrayDuplicates);
+router.post("/maintenance/removeArrayDuplicates", [reqGigitAdmin, reqGenericModel(), optSaveToken, reqAudit], removeArrayDuplicates);
+router.post("/maintenance/addValues", [reqGigitAdmin, reqGenericModel(), optSaveToken, reqAudit], addUniqueValuesToList);
 router.post("/maintenance/duplicateTest", [reqGigitAdmin, reqGenericModel()], testForDuplicates);
-router.post("/maintenance/testAggregate", [reqGigitAdmin, reqGenericModel()], testAggregate);
-router.post("/maintenance/generic/array", [reqGigitAdmin, reqGenericModel(), reqSaveToken], modifyArrayValue);
-router.put("/maintenance/generic/array", [reqGigitAdmin, reqGenericModel(), optSaveToken], pushArrayValue);
-router.post("/maintenance/inject/", [reqGigitAdmin, reqGenericModel(), optSaveToken], genericInject);
-router.post("/maintenance/transfer/", [reqGigitAdmin, reqGenericModel("toModel"), reqGenericModel("fromModel"), reqSaveToken], genericTransfer);
-router.post("/maintenance/translate/", [reqGigitAdmin, reqGenericModel(), reqSaveToken], genericTranslate);
-router.post("/maintenance/change/", [reqGigitAdmin, reqGenericModel(), optSaveToken], genericChangeField);
-
-router.post("/maintenance/addTicketHolders", [reqGigitAdmin, optSaveToken], addTicketHolders);
-router.post("/maintenance/fireEmail", [reqGigitAdmin], fireEmail);
-router.post("/maintenance/changeEmailStatus", [reqGigitAdmin, optSaveToken], changeEmailStatus);
-router.post("/maintenance/importStudents", [reqGigitAdmin, optSaveToken], importStudents);
+router.post("/maintenance/aggregate", [reqGigitAdmin, reqGenericModel(), optUnredacted], aggregateRoute);
+router.post("/maintenance/generic/array", [reqGigitAdmin, reqGenericModel(), reqSaveToken, reqAudit], modifyArrayValue);
+router.put("/maintenance/generic/array", [reqGigitAdmin, reqGenericModel(), optSaveToken, reqAudit], pushArrayValue);
+router.post("/maintenance/inject/", [reqGigitAdmin, reqGenericModel(), optSaveToken, reqAudit], genericInject);
+router.post("/maintenance/transfer/", [reqGigitAdmin, optUnredacted, reqGenericModel("toModel"), reqGenericModel("fromModel"), reqSafeQuery("fromQuery", true, "fromModel"), optSaveToken, reqAudit], genericTransfer);
+router.post("/maintenance/translate/", [reqGigitAdmin, optUnredacted, reqGenericModel(), reqSafeQuery("query", true), optSaveToken, reqAudit], genericTranslate);
+router.post("/maintenance/change/", [reqGigitAdmin, optUnredacted, reqGenericModel(), reqSafeQuery("query", true), optSaveToken, reqAudit], genericChangeField);
+
+router.post("/maintenance/addTicketHolders", [reqGigitAdmin, optSaveToken, reqAudit], addTicketHolders);
+router.post("/maintenance/fireEmail", [reqGigitAdmin, reqAudit], fireEmail);
+router.post("/maintenance/changeEmailStatus", [reqGigitAdmin, optSaveToken, reqAudit], changeEmailStatus);
+router.post("/maintenance/importStudents", [reqGigitAdmin, importUpload.single("file"), optSaveToken, reqAudit], importStudents);
 router.post("/maintenance/authentication/", [reqGigitAdmin], getAuthenticationToken);
-router.post("/maintenance/resetPassword", [reqGigitAdmin], resetPassword);
+router.post("/maintenance/resetPassword", [reqGigitAdmin, reqAudit], resetPassword);
 router.post("/maintenance/createLink/:groupId", [reqGigitAdmin], createRegistrationLink);
-router.post("/maintenance/rating", [reqGigitAdmin], updateRatingFor);
+router.post("/maintenance/rating", [reqGigitAdmin, reqAudit], updateRatingFor);
+router.get("/maintenance/users/duplicates", [reqGigitAdmin], findDuplicateUsers);
+router.post("/maintenance/users/merge", [reqGigitAdmin, optSaveToken, reqAudit], mergeUsers);
 router.post("/maintenance/decodeToken", [reqGigitAdmin], decodeToken);
 
-router.post("/maintenance/resetAuction/:itemAuctionId", [reqGigitAdmin, optSaveToken], resetAuction);
-router.post("/maintenance/removeBid", [reqGigitAdmin, optSaveToken], removeBid);
-router.post("/maintenance/modifyBid", [reqGigitAdmin, optSaveToken], modifyBid);
+router.post("/maintenance/resetAuction/:itemAuctionId", [reqGigitAdmin, optSaveToken, reqAudit], resetAuction);
+router.post("/maintenance/removeBid", [reqGigitAdmin, optSaveToken, reqAudit], removeBid);
+router.post("/maintenance/modifyBid", [reqGigitAdmin, optSaveToken, reqAudit], modifyBid);
 
-router.post("/maintenance/demonetize/:userId", [reqGigitAdmin, reqSaveToken], demonetize);
+router.post("/maintenance/demonetize/:userId", [reqGigitAdmin, reqSaveToken, reqAudit], demonetize);
 
 router.get("/maintenance/error", errorTest);
 
 module.exports = router;
+// For test/statistics.test.js, which checks the aggregations against a fixture
+module.exports.computeStatistics = computeStatistics;
@@ -0,0 +1,191 @@
+"use strict";
+
+/*
+ * Checks the statistics aggregations against the in-memory counting they
+ * replaced, over the documents in fixtures/statistics.json. Needs a database of
+ * its own in MONGODB_URL, since its users, requests, orders and spaces are
+ * replaced with the fixture. Run with `node --test test/`.
+ */
+const test = require("node:test");
+const assert = require("assert");
+
+const _ = require("lodash");
+const moment = require("moment");
+const mongoose = require("mongoose");
+
+const { Order, Request, Space, User } = require("gigit-common/models");
+const router = require("../router");
+const fixture = require("./fixtures/statistics.json");
+
+const MONGODB_URL = process.env.MONGODB_URL;
+
+test("statistics aggregations match the documents counted one by one", { skip: !MONGODB_URL && "MONGODB_URL isn't set" }, async function() {
+    await mongoose.connect(MONGODB_URL, { useNewUrlParser: true, useUnifiedTopology: true });
+    try {
+        for (let [model, documents] of [[User, fixture.users], [Request, fixture.requests], [Order, fixture.orders], [Space, fixture.spaces]]) {
+            await model.deleteMany({});
+            await model.insertMany(documents);
+        }
+
+        var aggregated = await router.computeStatistics();
+        var counted = Object.assign({},
+            tallyUsers(await User.find({}).select("type").exec()),
+            tallyRequests(await Request.find({}).select("isOffer proposals offer isEvent request_date isTemplate type status").exec()),
+            tallyOrders(await Order.find({}).select("status completions proposals type").exec()),
+            tallySpaces(await Space.find({}).select("client_bookings availability").exec())
+        );
+
+        assert.deepStrictEqual(_.pick(aggregated, Object.keys(counted)), counted);
+        // Accepted completions are matched to their proposals by owner
+        assert.strictEqual(counted.totalVolunteerHours, 6);
+        assert.strictEqual(counted.totalDollarsPaid, 60);
+    }
+    finally {
+        await mongoose.disconnect();
+    }
+});
+
+// The in-memory counting the aggregations replaced
+function tallyUsers(users) {
+    var userStats = {
+        numberUsers: 0,
+        numberGroups: 0
+    };
+
+    users.forEach(function(user) {
+        if (user.type === "company") {
+            userStats.numberGroups++;
+        }
+        else {
+            userStats.numberUsers++;
+        }
+    });
+
+    return userStats;
+}
+
+function tallyRequests(requests) {
+    var requestStats = {
+        numberEvents: 0,
+        numberUpcomingEvents: 0,
+        numberServicesOffered: 0,
+        numberVolunteerGigs: 0,
+        futureVolunteerHours: 0,
+        offeredVolunteerHours: 0,
+        numberPaidGigs: 0,
+        numberAdHocGigs: 0,
+        totalNumberGigs: 0,
+        numberApplicationsSubmitted: 0
+    };
+
+    var now = moment();
+
+    requests.forEach(function(currentRequest) {
+        if (currentRequest.isEvent) {
+            requestStats.numberEvents++;
+            if (currentRequest.request_date && moment(currentRequest.request_date).isAfter(now)) {
+                requestStats.numberUpcomingEvents++;
+            }
+        }
+        else if (currentRequest.isTemplate) {
+        }
+        else if (currentRequest.isOffer) {
+            requestStats.numberServicesOffered++;
+        }
+        else {
+            if (currentRequest.type === "volunteer") {
+                requestStats.numberVolunteerGigs++;
+                if (currentRequest.offer.time &&
+                    (currentRequest.offer.time.units === "hours")) {
+                    var numberHours = currentRequest.offer.time.value > 0 ? currentRequest.offer.time.value : 0;
+                    requestStats.offeredVolunteerHours += numberHours;
+                    if (currentRequest.status.code !== "cancelled" && currentRequest.offer.start_date && moment(currentRequest.offer.start_date).isAfter(now)) {
+                        requestStats.futureVolunteerHours += numberHours;
+                    }
+                }
+            }
+            else if (currentRequest.type === "paid") {
+                requestStats.numberPaidGigs++;
+            }
+            else if (currentRequest.type === "ad-hoc") {
+                requestStats.numberAdHocGigs++;
+            }
+
+            requestStats.totalNumberGigs++;
+            currentRequest.proposals.forEach(function(proposal) {
+                if (proposal && (!proposal.status || proposal.status.code !== "cancelled")) {
+                    requestStats.numberApplicationsSubmitted++;
+                }
+            });
+        }
+    });
+
+    return requestStats;
+}
+
+function tallyOrders(orders) {
+    var orderStats = {
+        numberVolunteerGigsCompleted: 0,
+        numberPaidGigsCompleted: 0,
+        numberAdHocGigsCompleted: 0,
+        numberGigsCompleted: 0,
+        totalVolunteerHours: 0,
+        totalDollarsPaid: 0
+    };
+
+    orders.forEach(function(order) {
+        if (!(order.status && order.status.code === "done")) {
+            return;
+        }
+        if (order.type === "volunteer") {
+            orderStats.numberVolunteerGigsCompleted++;
+        }
+        else if (order.type === "paid") {
+            orderStats.numberPaidGigsCompleted++;
+        }
+        else if (order.type === "ad-hoc") {
+            orderStats.numberAdHocGigsCompleted++;
+        }
+        orderStats.numberGigsCompleted++;
+
+        order.completions.forEach(function(completion) {
+            if (completion.status && completion.status.code === "accepted") {
+                var proposal = order.proposals.find(function(proposal) {
+                    return proposal.owner_id && proposal.owner_id.equals(completion.owner_id);
+                });
+                if (proposal) {
+                    if (order.type === "volunteer") {
+                        orderStats.totalVolunteerHours += proposal.time.value;
+                    }
+                    else {
+                        orderStats.totalDollarsPaid += proposal.time.value * proposal.money.value;
+                    }
+                }
+            }
+        });
+    });
+
+    return orderStats;
+}
+
+function tallySpaces(spaces) {
+    var spacesStats = {
+        numberSpacesCreated: 0,
+        numberSpacesRented: 0,
+        numberSpacesAvailable: 0
+    };
+
+    spacesStats.numberSpacesCreated = spaces.length;
+    spaces.forEach(function(currentSpace) {
+        var hasRental = currentSpace.client_bookings.some(function(booking) {
+            return booking.bookingType === "rental";
+        });
+        if (hasRental) {
+            spacesStats.numberSpacesRented++;
+            spacesStats.numberSpacesAvailable++;
+            return;
+        }
+    });
+
+    return spacesStats;
+}